@@ -26,9 +26,148 @@ const CONFIG = {
     NEEDS_REVIEW: "Needs Review",
   },
 
+  // Sheet listing unmatched and duplicate criteria after each extraction run
+  RECONCILIATION_SHEET_NAME: "Extraction Report",
+
+  // Front matter of the VPAT (product, report date, contact...) written on each extraction
+  REPORT_INFO: {
+    SHEET_NAME: "Report Info",
+    // Field name on the sheet -> labels that introduce it in the document
+    // (case-insensitive, at the start of a line, followed by ":", a tab or nothing)
+    FIELDS: {
+      "Product Name/Version": [
+        "name of product/version",
+        "name of product",
+        "product name/version",
+        "product name",
+      ],
+      "Product Version": ["product version", "version number"],
+      "Report Date": ["report date", "date of report", "date"],
+      "Product Description": ["product description", "description"],
+      "Contact Information": [
+        "contact information",
+        "vendor contact",
+        "contact",
+      ],
+      "Evaluation Methods Used": [
+        "evaluation methods used",
+        "evaluation methods",
+        "evaluation method",
+      ],
+      Notes: ["notes"],
+      "Legal Disclaimer": ["legal disclaimer"],
+    },
+    // Headings that end the front matter (the conformance tables start here)
+    FRONT_MATTER_END:
+      /^(terms|table \d+|wcag 2\.x report|revised section 508 report|en 301 549 report|chapter \d+)\b/i,
+    STANDARDS_HEADING: "applicable standards/guidelines",
+  },
+
+  // VPAT 2.x editions: title-block pattern and the criteria namespaces
+  // (CRITERIA_STANDARDS codes) each edition reports on
+  VPAT_EDITIONS: {
+    INT: {
+      label: "International Edition",
+      pattern: /international\s+edition|rev\s*INT\b/i,
+      standards: ["WCAG", "508", "EN"],
+    },
+    EU: {
+      label: "EU Edition",
+      pattern: /\bEU\s+edition|european\s+union\s+edition|rev\s*EU\b/i,
+      standards: ["WCAG", "EN"],
+    },
+    SECTION_508: {
+      label: "Revised Section 508 Edition",
+      pattern: /section\s+508\s+edition|rev\s*508\b/i,
+      standards: ["WCAG", "508"],
+    },
+    WCAG: {
+      label: "WCAG Edition",
+      pattern: /wcag\s+edition|rev\s*WCAG\b/i,
+      standards: ["WCAG"],
+    },
+  },
+  TITLE_BLOCK_LINES: 40, // Lines at the top of the document searched for the edition
+
+  // Optional columns - used when present, added to the sheet when a step needs them
+  OPTIONAL_COLUMN_NAMES: {
+    SECTION: "Section", // Table/section a criterion came from
+    INTERPRETATION_SOURCE: "Interpretation Source",
+    MODEL_AGREEMENT: "Model Agreement", // Consensus mode result (see compareModelAnswers)
+    // Escalation mode: the model whose answer was written and its confidence
+    ANSWER_MODEL: "Answer Model",
+    ANSWER_CONFIDENCE: "Confidence",
+    INITIAL_CONFIDENCE: "Initial Confidence", // First model's confidence on escalated rows
+    EXTRACTION_NOTE: "Extraction Note", // Why an extracted row needs a manual check
+    // "Also applies to" cross-references of INT-edition WCAG criteria
+    ALSO_APPLIES_EN: "Also Applies To (EN 301 549)",
+    ALSO_APPLIES_508: "Also Applies To (508)",
+    PRODUCT_TYPES: "Applies To Product Types",
+    // Derived from the criterion text during extraction
+    WCAG_LEVEL: "Level", // A, AA or AAA
+    WCAG_VERSION: "WCAG Version", // Version that introduced the criterion
+    CRITERION_NAME: "Criterion Name",
+  },
+
+  // Values written to the Interpretation Source column
+  INTERPRETATION_SOURCES: {
+    DOCUMENT: "Document", // Platform values stated explicitly in the VPAT
+    RULES: "Rules", // Clear-cut rows interpreted without AI
+    AI: "AI",
+  },
+
+  // Rows interpreted without AI (see interpretRowByRules)
+  RULE_INTERPRETATION: {
+    ENABLED: true, // false = send every row to AI
+    // Remarks or labels naming a product type
+    PLATFORM_PATTERN:
+      /\b(web|websites?|browsers?|electronic\s+docs?|documents?|documentation|pdfs?|software|desktop|mobile|ios|android|apps?|applications?|closed|kiosks?|hardware|authoring|platforms?)\b/i,
+    // Remarks that qualify or contradict each conformance value
+    QUALIFIER_PATTERNS: {
+      Supports:
+        /\b(except|exceptions?|however|but|although|partial(ly)?|some|most|mostly|generally|limited|issues?|not|never|cannot|unable|fails?|workarounds?)\b|n't\b/i,
+      "Partially Supports": /\b(not applicable|not evaluated|n\/a)\b/i,
+      "Does Not Support":
+        /\b(except|exceptions?|however|but|although|partial(ly)?|some|most|mostly|generally|workarounds?)\b/i,
+      "Not Applicable":
+        /\b(except|however|but|although|partial(ly)?|supports|supported|fails?)\b/i,
+      "Not Evaluated":
+        /\b(except|however|but|although|partial(ly)?|supports|supported|fails?)\b/i,
+    },
+    // "Not Applicable" remarks must say why (e.g. "There is no audio content")
+    NOT_APPLICABLE_REASON_PATTERN:
+      /\b(no|not|none|without|never|n\/a)\b|n't\b/i,
+  },
+
   // Processing Settings
   DEFAULT_START_ROW: 2, // First row after headers
 
+  // Resumable jobs: progress is checkpointed in document properties and a
+  // time-driven trigger continues the job after the execution time limit
+  JOBS: {
+    PROPERTY_PREFIX: "VPAT_JOB_",
+    MAX_RUNTIME_MS: 4.5 * 60 * 1000, // No new batch after this (Apps Script stops at 6 min)
+    STALE_AFTER_MS: 7 * 60 * 1000, // A "Running" job not updated for this long was cut off
+    RESUME_DELAY_MS: 60 * 1000, // Delay before the trigger continues a paused job
+    RESUME_HANDLER: "resumeVPATJobs",
+    LOCK_WAIT_MS: 10000,
+    STEPS: {
+      EXTRACT: "extract",
+      INTERPRET: "interpret",
+      QUALITY: "quality",
+    },
+    STEP_LABELS: {
+      extract: "Extraction",
+      interpret: "AI Interpretation",
+      quality: "Quality Checklist",
+    },
+    STATUS: {
+      RUNNING: "Running",
+      WAITING: "Waiting to resume",
+      FAILED: "Failed",
+    },
+  },
+
   // Prompts Sheet Configuration
   PROMPTS_SHEET_NAME: "Prompts",
   PROMPT_NAME_COLUMN: 1, // Column A
@@ -39,26 +178,161 @@ const CONFIG = {
 
   // AI Provider Sheet Configuration
   AI_PROVIDER_SHEET_NAME: "AI Provider",
-  AI_PROVIDER_CELL: "A2", // Cell containing "OpenAI" or "Gemini"
-  AI_API_KEY_CELL: "B2", // Cell containing the API key
+  AI_PROVIDER_CELL: "A2", // Cell containing the provider name (see AI_PROVIDERS)
+  AI_API_KEY_CELL: "B2", // Masked; keys are kept in User/Script Properties (see setAPIKey)
+  API_KEY_MASK: "••••", // Start of the masked B2 value
+  // Common provider key shapes, redacted from logs even when not read by this run
+  API_KEY_PATTERN: /\b(sk-[A-Za-z0-9_-]{16,}|AIza[0-9A-Za-z_-]{30,})/g,
+  AI_ENDPOINT_CELL: "C2", // Base URL (required for Azure OpenAI and OpenAI-compatible servers)
+  AI_MODEL_CELL: "D2", // Model or Azure deployment name (optional for the others)
+  // Per-task settings table on the AI Provider sheet: a "Setting" header row with
+  // one column per task (keys are JOBS.STEPS values). Empty cells use the model
+  // and endpoint in D2/C2, then the provider defaults.
+  AI_TASK_SETTINGS: {
+    HEADER: "Setting",
+    TASK_COLUMNS: {
+      interpret: "Interpretation",
+      quality: "Quality Checklist",
+    },
+    ROWS: {
+      model: "Model",
+      baseUrl: "Endpoint",
+      temperature: "Temperature",
+      maxTokens: "Max Output Tokens",
+      timeoutSeconds: "Timeout (seconds)",
+      inputPrice: "Input Price (USD per 1M tokens)",
+      outputPrice: "Output Price (USD per 1M tokens)",
+      budget: "Budget per Run (USD)",
+      bypassCache: "Bypass Cache",
+      consensusModels: "Consensus Models",
+      escalationModel: "Escalation Model",
+    },
+    NOTES: {
+      model: "Empty = model in D2, or the provider default",
+      baseUrl: "Empty = endpoint in C2, or the provider default",
+      temperature: "0 to 2 (0 to 1 for Anthropic); empty = provider default",
+      maxTokens: "Empty = 4096",
+      timeoutSeconds:
+        "Empty = 120; time allowed for one AI request including retries",
+      inputPrice: "Empty = built-in price for the model, if known",
+      outputPrice: "Empty = built-in price for the model, if known",
+      budget:
+        "Empty = no limit; the step stops before a request that could go over it",
+      bypassCache:
+        "Yes = ask the AI again for every entry and replace cached answers; empty = reuse answers for unchanged inputs",
+      consensusModels:
+        'Interpretation only. Empty = off; e.g. "Gemini: gemini-2.5-flash, Anthropic" also asks these models and flags rows where they disagree',
+      escalationModel:
+        'Interpretation only. Empty = off; e.g. "OpenAI: gpt-4o" asks this model again for rows below the CONFIDENCE_LEVEL threshold',
+    },
+    DEFAULT_MAX_TOKENS: 4096,
+    DEFAULT_TIMEOUT_SECONDS: 120,
+    MAX_TOKENS_LIMIT: 128000,
+    MAX_TIMEOUT_SECONDS: 240, // Stays well inside the 6-minute execution limit
+  },
 
   // AI Model Configuration
   AI_MODEL: {
     CHATGPT_BASE_URL: "https://ai-gateway.apps.cloud.rt.nyu.edu/v1",
     CHATGPT_MODEL: "@openai-nyu-it-d-5b382a/gpt-4o-mini",
-    CHATGPT_API_KEY_PROPERTY: "CHATGPT_API_KEY", // Script property name
+    CHATGPT_API_KEY_PROPERTY: "CHATGPT_API_KEY", // User/Script property name
     OPENAI_BASE_URL: "https://api.openai.com/v1",
     OPENAI_MODEL: "gpt-4o-mini",
     OPENAI_API_KEY_PROPERTY: "OPENAI_API_KEY",
     GEMINI_BASE_URL: "https://generativelanguage.googleapis.com/v1beta",
     GEMINI_MODEL: "gemini-2.5-flash",
     GEMINI_API_KEY_PROPERTY: "GEMINI_API_KEY",
+    ANTHROPIC_BASE_URL: "https://api.anthropic.com/v1",
+    ANTHROPIC_MODEL: "claude-haiku-4-5",
+    ANTHROPIC_VERSION: "2023-06-01", // anthropic-version header
+    ANTHROPIC_API_KEY_PROPERTY: "ANTHROPIC_API_KEY",
+    AZURE_API_VERSION: "2024-10-21",
+    AZURE_OPENAI_API_KEY_PROPERTY: "AZURE_OPENAI_API_KEY",
+    LOCAL_API_KEY_PROPERTY: "LOCAL_API_KEY",
   },
 
   // Rate Limiting
   API_DELAY_MS: 1000, // Delay between API calls
   BATCH_SIZE: 5, // Number of rows to process in a single API call (0 = all at once)
 
+  // Retries for AI requests that fail with a rate limit, server or network error
+  RETRY: {
+    MAX_ATTEMPTS: 4, // First try + 3 retries
+    BASE_DELAY_MS: 2000, // Doubled on every retry, with random jitter
+    MAX_DELAY_MS: 30000, // Upper bound for a single wait, including Retry-After
+    RETRYABLE_STATUS_CODES: [408, 409, 425, 429, 500, 502, 503, 504, 529],
+    // Never retried; stop the whole run since every later request would fail too
+    FATAL_STATUS_CODES: [401, 403, 404],
+    // 400 responses that mean a bad key or model rather than a bad request
+    FATAL_ERROR_PATTERN:
+      /api[-_ ]?key|unauthori[sz]ed|invalid[_ ]model|model[_ ]not[_ ]found|does not exist/i,
+  },
+
+  // Structured output: AI answers are requested as { items: [...] } in the
+  // provider's JSON schema mode and each item is validated before it is used
+  STRUCTURED_OUTPUT: {
+    ITEMS_FIELD: "items",
+    TOOL_NAME: "record_answers", // Anthropic tool the answers are sent through
+    MAX_REPAIR_REQUESTS: 2, // Re-requests for entries whose answer failed validation
+    // Item field that ties an answer to its entry (keys are JOBS.STEPS values)
+    MATCH_FIELDS: {
+      interpret: "entry",
+      quality: "reqId",
+    },
+  },
+
+  // Consensus mode: values compared between the interpretation models
+  CONSENSUS: {
+    FIELDS: {
+      conformanceLevel: "Conformance Level",
+      web: "Web",
+      electronicDocs: "Electronic Docs",
+      software: "Software",
+      closed: "Closed",
+      authoring: "Authoring Tool",
+    },
+  },
+
+  // Answers reused when the provider, model, prompt and entry input are unchanged
+  AI_CACHE: {
+    SHEET_NAME: "AI Cache", // Long-term store (hidden sheet)
+    HEADERS: ["Key", "Task", "Provider", "Model", "Answer", "Saved"],
+    KEY_PREFIX: "ai:",
+    TTL_SECONDS: 21600, // CacheService maximum (6 hours)
+    // The sheet is read whole on every run: older answers, then the oldest
+    // beyond the row limit, are dropped when it is loaded
+    MAX_AGE_DAYS: 90,
+    MAX_ROWS: 5000,
+  },
+
+  // Log of every AI call with its token usage and estimated cost
+  USAGE_LOG: {
+    SHEET_NAME: "Usage Log",
+    HEADERS: [
+      "Timestamp",
+      "Job",
+      "Task",
+      "Provider",
+      "Model",
+      "Prompt Tokens",
+      "Completion Tokens",
+      "Estimated Cost (USD)",
+      "Note",
+    ],
+    CHARS_PER_TOKEN: 4, // Rough token count for budget checks and unreported usage
+    // USD per 1M tokens [input, output]; override in the AI Provider sheet
+    MODEL_PRICES: {
+      "gpt-4o-mini": [0.15, 0.6],
+      "gpt-4o": [2.5, 10],
+      "gpt-4.1-mini": [0.4, 1.6],
+      "gpt-4.1": [2, 8],
+      "gemini-2.5-flash": [0.3, 2.5],
+      "gemini-2.5-pro": [1.25, 10],
+      "claude-haiku-4-5": [1, 5],
+      "claude-sonnet-4-5": [3, 15],
+    },
+  },
+
   // Valid conformance values
   VALID_CONFORMANCE_VALUES: [
     "Supports",
@@ -69,7 +343,77 @@ const CONFIG = {
   ],
 
   // Document Processing
-  EXPECTED_TABLE_COLUMNS: 3, // Criteria, Conformance Level, Remarks
+  // Header labels that identify each table column (case-insensitive, whole words).
+  // Roles are checked in this order so "Conformance Level" is not read as "Level".
+  TABLE_HEADERS: {
+    REMARKS: [
+      "remarks and explanations",
+      "remarks",
+      "explanations",
+      "comments",
+    ],
+    CONFORMANCE: ["conformance level", "conformance", "support level"],
+    CRITERIA: ["criteria", "criterion"],
+    LEVEL: ["level"],
+  },
+  MAX_HEADER_ROWS: 3, // Rows scanned at the top of each table for header text
+  // Fallback parser for documents whose tables were lost (e.g. PDF OCR output)
+  TEXT_LAYOUT: {
+    HEADING: "Document text (no table structure)",
+    REVIEW_NOTE:
+      "Rebuilt from document text without table structure - verify against the document",
+    REPEATED_LINE_THRESHOLD: 3, // Lines repeated this often are page headers/footers
+  },
+  // Rows filled from "Also applies to" blocks of several WCAG criteria
+  CROSS_REFERENCE: {
+    COMBINED_NOTE:
+      'Combined from several "Also applies to" sources (worst conformance kept) - verify against the document',
+    // Worst first; a combined row takes the earliest value any source reports
+    CONFORMANCE_ORDER: [
+      "Does Not Support",
+      "Partially Supports",
+      "Not Evaluated",
+      "Supports",
+      "Not Applicable",
+    ],
+  },
+  // WordprocessingML namespaces of Transitional and Strict OOXML documents;
+  // both use the same element names
+  DOCX_NAMESPACES: [
+    "http://schemas.openxmlformats.org/wordprocessingml/2006/main",
+    "http://purl.oclc.org/ooxml/wordprocessingml/main",
+  ],
+
+  // Namespaces used in criteria keys (e.g. "WCAG:1.4.3", "508:302.1", "EN:9.1.4.3")
+  CRITERIA_STANDARDS: {
+    WCAG: "WCAG",
+    SECTION_508: "508",
+    EN_301_549: "EN",
+  },
+  // Names written to the Section column, read back by detectStandardInText
+  STANDARD_NAMES: {
+    WCAG: "WCAG",
+    508: "Section 508",
+    EN: "EN 301 549",
+  },
+
+  // Product-type labels used in platform-specific conformance statements
+  // (e.g. "Web: Supports / Software: Not Applicable"). Keys match the AI response fields.
+  PLATFORM_LABELS: {
+    web: ["web"],
+    electronicDocs: [
+      "electronic docs",
+      "electronic documents",
+      "electronic content",
+      "non-web documents",
+      "non-web docs",
+      "documents",
+      "docs",
+    ],
+    software: ["software"],
+    closed: ["closed functionality", "closed software", "closed"],
+    authoring: ["authoring tools", "authoring tool", "authoring"],
+  },
 
   // Quality Checklist Configuration
   QUALITY_CHECKLIST: {
@@ -99,6 +443,244 @@ const CONFIG = {
   },
 };
 
+/*******************************************************
+ * CRITERIA CATALOG
+ * Reference lists used by the completeness check
+ *******************************************************/
+const CRITERIA_CATALOG = {
+  // WCAG success criteria: "number|level|version introduced|name[|version removed]"
+  WCAG: [
+    "1.1.1|A|2.0|Non-text Content",
+    "1.2.1|A|2.0|Audio-only and Video-only (Prerecorded)",
+    "1.2.2|A|2.0|Captions (Prerecorded)",
+    "1.2.3|A|2.0|Audio Description or Media Alternative (Prerecorded)",
+    "1.2.4|AA|2.0|Captions (Live)",
+    "1.2.5|AA|2.0|Audio Description (Prerecorded)",
+    "1.2.6|AAA|2.0|Sign Language (Prerecorded)",
+    "1.2.7|AAA|2.0|Extended Audio Description (Prerecorded)",
+    "1.2.8|AAA|2.0|Media Alternative (Prerecorded)",
+    "1.2.9|AAA|2.0|Audio-only (Live)",
+    "1.3.1|A|2.0|Info and Relationships",
+    "1.3.2|A|2.0|Meaningful Sequence",
+    "1.3.3|A|2.0|Sensory Characteristics",
+    "1.3.4|AA|2.1|Orientation",
+    "1.3.5|AA|2.1|Identify Input Purpose",
+    "1.3.6|AAA|2.1|Identify Purpose",
+    "1.4.1|A|2.0|Use of Color",
+    "1.4.2|A|2.0|Audio Control",
+    "1.4.3|AA|2.0|Contrast (Minimum)",
+    "1.4.4|AA|2.0|Resize Text",
+    "1.4.5|AA|2.0|Images of Text",
+    "1.4.6|AAA|2.0|Contrast (Enhanced)",
+    "1.4.7|AAA|2.0|Low or No Background Audio",
+    "1.4.8|AAA|2.0|Visual Presentation",
+    "1.4.9|AAA|2.0|Images of Text (No Exception)",
+    "1.4.10|AA|2.1|Reflow",
+    "1.4.11|AA|2.1|Non-text Contrast",
+    "1.4.12|AA|2.1|Text Spacing",
+    "1.4.13|AA|2.1|Content on Hover or Focus",
+    "2.1.1|A|2.0|Keyboard",
+    "2.1.2|A|2.0|No Keyboard Trap",
+    "2.1.3|AAA|2.0|Keyboard (No Exception)",
+    "2.1.4|A|2.1|Character Key Shortcuts",
+    "2.2.1|A|2.0|Timing Adjustable",
+    "2.2.2|A|2.0|Pause, Stop, Hide",
+    "2.2.3|AAA|2.0|No Timing",
+    "2.2.4|AAA|2.0|Interruptions",
+    "2.2.5|AAA|2.0|Re-authenticating",
+    "2.2.6|AAA|2.1|Timeouts",
+    "2.3.1|A|2.0|Three Flashes or Below Threshold",
+    "2.3.2|AAA|2.0|Three Flashes",
+    "2.3.3|AAA|2.1|Animation from Interactions",
+    "2.4.1|A|2.0|Bypass Blocks",
+    "2.4.2|A|2.0|Page Titled",
+    "2.4.3|A|2.0|Focus Order",
+    "2.4.4|A|2.0|Link Purpose (In Context)",
+    "2.4.5|AA|2.0|Multiple Ways",
+    "2.4.6|AA|2.0|Headings and Labels",
+    "2.4.7|AA|2.0|Focus Visible",
+    "2.4.8|AAA|2.0|Location",
+    "2.4.9|AAA|2.0|Link Purpose (Link Only)",
+    "2.4.10|AAA|2.0|Section Headings",
+    "2.4.11|AA|2.2|Focus Not Obscured (Minimum)",
+    "2.4.12|AAA|2.2|Focus Not Obscured (Enhanced)",
+    "2.4.13|AAA|2.2|Focus Appearance",
+    "2.5.1|A|2.1|Pointer Gestures",
+    "2.5.2|A|2.1|Pointer Cancellation",
+    "2.5.3|A|2.1|Label in Name",
+    "2.5.4|A|2.1|Motion Actuation",
+    "2.5.5|AAA|2.1|Target Size (Enhanced)",
+    "2.5.6|AAA|2.1|Concurrent Input Mechanisms",
+    "2.5.7|AA|2.2|Dragging Movements",
+    "2.5.8|AA|2.2|Target Size (Minimum)",
+    "3.1.1|A|2.0|Language of Page",
+    "3.1.2|AA|2.0|Language of Parts",
+    "3.1.3|AAA|2.0|Unusual Words",
+    "3.1.4|AAA|2.0|Abbreviations",
+    "3.1.5|AAA|2.0|Reading Level",
+    "3.1.6|AAA|2.0|Pronunciation",
+    "3.2.1|A|2.0|On Focus",
+    "3.2.2|A|2.0|On Input",
+    "3.2.3|AA|2.0|Consistent Navigation",
+    "3.2.4|AA|2.0|Consistent Identification",
+    "3.2.5|AAA|2.0|Change on Request",
+    "3.2.6|A|2.2|Consistent Help",
+    "3.3.1|A|2.0|Error Identification",
+    "3.3.2|A|2.0|Labels or Instructions",
+    "3.3.3|AA|2.0|Error Suggestion",
+    "3.3.4|AA|2.0|Error Prevention (Legal, Financial, Data)",
+    "3.3.5|AAA|2.0|Help",
+    "3.3.6|AAA|2.0|Error Prevention (All)",
+    "3.3.7|A|2.2|Redundant Entry",
+    "3.3.8|AA|2.2|Accessible Authentication (Minimum)",
+    "3.3.9|AAA|2.2|Accessible Authentication (Enhanced)",
+    "4.1.1|A|2.0|Parsing|2.2",
+    "4.1.2|A|2.0|Name, Role, Value",
+    "4.1.3|AA|2.1|Status Messages",
+  ],
+
+  // Revised Section 508 functional performance criteria, hardware, software and
+  // support documentation sections: "number|name". A section also covers its
+  // sub-sections, so "402 Closed Functionality" accepts 402.2.1 and so on.
+  SECTION_508: [
+    "302.1|Without Vision",
+    "302.2|With Limited Vision",
+    "302.3|Without Perception of Color",
+    "302.4|Without Hearing",
+    "302.5|With Limited Hearing",
+    "302.6|Without Speech",
+    "302.7|With Limited Manipulation",
+    "302.8|With Limited Reach and Strength",
+    "302.9|With Limited Language, Cognitive, and Learning Abilities",
+    "402|Closed Functionality",
+    "403|Biometrics",
+    "404|Preservation of Information Provided for Accessibility",
+    "405|Privacy",
+    "406|Standard Connections",
+    "407|Operable Parts",
+    "408|Display Screens",
+    "409|Status Indicators",
+    "410|Color Coding",
+    "411|Audible Signals",
+    "412|ICT with Two-Way Voice Communication",
+    "413|Closed Caption Processing Technologies",
+    "414|Audio Description Processing Technologies",
+    "415|User Controls for Captions and Audio Descriptions",
+    "501.1|Scope - Incorporation of WCAG 2.0 AA",
+    "502.2.1|User Control of Accessibility Features",
+    "502.2.2|No Disruption of Accessibility Features",
+    "502.3.1|Object Information",
+    "502.3.2|Modification of Object Information",
+    "502.3.3|Row, Column, and Headers",
+    "502.3.4|Values",
+    "502.3.5|Modification of Values",
+    "502.3.6|Label Relationships",
+    "502.3.7|Hierarchical Relationships",
+    "502.3.8|Text",
+    "502.3.9|Modification of Text",
+    "502.3.10|List of Actions",
+    "502.3.11|Actions on Objects",
+    "502.3.12|Focus Cursor",
+    "502.3.13|Modification of Focus Cursor",
+    "502.3.14|Event Notification",
+    "502.4|Platform Accessibility Features",
+    "503.2|User Preferences",
+    "503.3|Alternative User Interfaces",
+    "503.4.1|Caption Controls",
+    "503.4.2|Audio Description Controls",
+    "504.1|General",
+    "504.2|Content Creation or Editing",
+    "504.2.1|Preservation of Information Provided for Accessibility in Format Conversion",
+    "504.2.2|PDF Export",
+    "504.3|Prompts",
+    "504.4|Templates",
+    "601.1|Scope",
+    "602.2|Accessibility and Compatibility Features",
+    "602.3|Electronic Support Documentation",
+    "602.4|Alternate Formats for Non-Electronic Support Documentation",
+    "603.2|Information on Accessibility and Compatibility Features",
+    "603.3|Accommodation of Communication Needs",
+  ],
+
+  // EN 301 549 V3.2.1 clauses other than the WCAG-based clauses 9, 10 and 11.1-11.4,
+  // which are generated from the WCAG 2.1 Level A/AA list: "number|name"
+  EN_301_549: [
+    "4.2.1|Usage without vision",
+    "4.2.2|Usage with limited vision",
+    "4.2.3|Usage without perception of colour",
+    "4.2.4|Usage without hearing",
+    "4.2.5|Usage with limited hearing",
+    "4.2.6|Usage with no or limited vocal capability",
+    "4.2.7|Usage with limited manipulation or strength",
+    "4.2.8|Usage with limited reach",
+    "4.2.9|Minimize photosensitive seizure triggers",
+    "4.2.10|Usage with limited cognition, language or learning",
+    "4.2.11|Privacy",
+    "5.1.1|Introduction",
+    "5.1.2.1|Closed functionality",
+    "5.1.2.2|Assistive technology",
+    "5.1.3|Non-visual access",
+    "5.1.4|Functionality closed to text enlargement",
+    "5.1.5|Visual output for auditory information",
+    "5.1.6|Operation without keyboard interface",
+    "5.2|Activation of accessibility features",
+    "5.3|Biometrics",
+    "5.4|Preservation of accessibility information during conversion",
+    "5.5.1|Means of operation",
+    "5.5.2|Operable parts discernibility",
+    "5.6.1|Tactile or auditory status",
+    "5.6.2|Visual status",
+    "5.7|Key repeat",
+    "5.8|Double-strike key acceptance",
+    "5.9|Simultaneous user actions",
+    "6.1|Audio bandwidth for speech",
+    "6.2|Real-Time Text (RTT) functionality",
+    "6.3|Caller ID",
+    "6.4|Alternatives to voice-based services",
+    "6.5|Video communication",
+    "6.6|Alternatives to video-based services",
+    "7.1|Caption processing technology",
+    "7.2|Audio description technology",
+    "7.3|User controls for captions and audio description",
+    "8.1|General (hardware)",
+    "8.2|Hardware products with speech output",
+    "8.3|Stationary ICT",
+    "8.4|Mechanically operable parts",
+    "8.5|Tactile indication of speech mode",
+    "9.6|WCAG conformance requirements",
+    "10.5|Caption positioning",
+    "10.6|Audio description timing",
+    "11.5|Interoperability with assistive technology",
+    "11.6|Documented accessibility usage",
+    "11.7|User preferences",
+    "11.8|Authoring tools",
+    "12.1|Product documentation",
+    "12.2|Support services",
+    "13.1|Relay services requirements",
+    "13.2|Access to relay services",
+    "13.3|Access to emergency services",
+  ],
+  // WCAG-based EN clauses that are "Void" in V3.2.1: accepted but not expected
+  EN_VOID_CLAUSES: [
+    "10.2.4.1",
+    "10.2.4.5",
+    "10.3.2.3",
+    "10.3.2.4",
+    "11.2.4.1",
+    "11.2.4.5",
+    "11.3.2.3",
+    "11.3.2.4",
+  ],
+  // Scope and introduction rows many VPATs list without a conformance claim:
+  // accepted but not expected
+  SCOPE_SECTIONS: ["508:501.1", "508:504.1", "508:601.1", "EN:5.1.1"],
+  // Hardware chapters (508 Chapter 4, EN clause 8): expected only when the
+  // document reports at least one criterion in them, since software VPATs
+  // usually cover the chapter with a single "not applicable" note
+  HARDWARE_CHAPTERS: { 508: "4", EN: "8" },
+  EN_WCAG_VERSION: "2.1", // WCAG version the EN 301 549 V3.2.1 clauses mirror
+};
+
 /*******************************************************
  * MENU FUNCTIONS
  *******************************************************/
@@ -110,6 +692,10 @@ function onOpen() {
   SpreadsheetApp.getUi()
     .createMenu("VPAT Processor")
     .addItem("1. Extract from Document", "processVPATDocument")
+    .addItem(
+      "1b. Extract and Add Missing Criteria Rows",
+      "processVPATDocumentAndBuildCriteria",
+    )
     .addItem("2. Interpret with AI", "interpretConformanceLevels")
     .addItem("3. Quality Checklist Analysis", "analyzeQualityChecklist")
     .addSeparator()
@@ -117,201 +703,852 @@ function onOpen() {
       "Run All (Extract + Interpret + Quality)",
       "runFullProcessingWithQuality",
     )
+    .addSeparator()
+    .addItem("Jobs (View / Resume / Cancel)", "manageVPATJobs")
+    .addItem("Set API Key", "setAPIKey")
     .addToUi();
 }
 
+/*******************************************************
+ * API KEY STORAGE
+ *******************************************************/
+
+// Keys used by this execution, removed from logged request errors and responses
+const KNOWN_API_KEYS = [];
+
+/**
+ * Menu handler: asks which provider a key is for (the provider in A2 of the
+ * AI Provider sheet by default, so consensus and escalation models can get a
+ * key without changing A2) and stores it in User Properties (only you) or
+ * Script Properties (everyone using this spreadsheet). Cell B2 is masked when
+ * the key is for the provider in A2.
+ */
+function setAPIKey() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  try {
+    // Step 1: Ask which provider the key is for
+    const sheetProvider = getAIProvider(ss);
+    const providerResponse = ui.prompt(
+      "Set API Key",
+      "Which provider is this key for? " +
+        `(${Object.values(AI_PROVIDERS)
+          .map((definition) => definition.label)
+          .join(", ")})\n\n` +
+        `Leave blank for ${AI_PROVIDERS[sheetProvider].label}, the provider in cell ${CONFIG.AI_PROVIDER_CELL} of "${CONFIG.AI_PROVIDER_SHEET_NAME}".`,
+      ui.ButtonSet.OK_CANCEL,
+    );
+    if (providerResponse.getSelectedButton() !== ui.Button.OK) {
+      return;
+    }
+    const providerText = providerResponse.getResponseText().trim();
+    const provider = providerText
+      ? findAIProvider(providerText)
+      : sheetProvider;
+    if (!provider) {
+      ui.alert(
+        "Set API Key",
+        `Unknown provider "${providerText}".`,
+        ui.ButtonSet.OK,
+      );
+      return;
+    }
+    const definition = AI_PROVIDERS[provider];
+
+    // Step 2: Ask for the key
+    const keyResponse = ui.prompt(
+      "Set API Key",
+      `Paste the ${definition.label} API key.\n\n` +
+        "The key is stored in the script's properties, not in the sheet.",
+      ui.ButtonSet.OK_CANCEL,
+    );
+    if (keyResponse.getSelectedButton() !== ui.Button.OK) {
+      return;
+    }
+    const apiKey = keyResponse.getResponseText().trim();
+    if (!apiKey) {
+      ui.alert("Set API Key", "No API key entered.", ui.ButtonSet.OK);
+      return;
+    }
+
+    // Step 3: Ask who may use it
+    const scope = ui.alert(
+      "Set API Key",
+      "Who should this key be used for?\n\n" +
+        "Yes = only me (User Properties; other editors need their own key)\n" +
+        "No = everyone who uses this spreadsheet (Script Properties)",
+      ui.ButtonSet.YES_NO_CANCEL,
+    );
+    if (scope === ui.Button.CANCEL || scope === ui.Button.CLOSE) {
+      return;
+    }
+    const userOnly = scope === ui.Button.YES;
+
+    // Step 4: Store it; B2 describes the key of the provider in A2 only
+    const properties = userOnly
+      ? PropertiesService.getUserProperties()
+      : PropertiesService.getScriptProperties();
+    properties.setProperty(definition.apiKeyProperty, apiKey);
+    KNOWN_API_KEYS.push(apiKey);
+    if (provider === sheetProvider) {
+      maskAPIKeyCell(ss, apiKey, userOnly);
+    }
+
+    ss.toast(
+      `${definition.label} API key saved to ${userOnly ? "User" : "Script"} Properties`,
+      "API Key Saved",
+      5,
+    );
+  } catch (error) {
+    Logger.log(`Error in setAPIKey: ${error.message}`);
+    ui.alert("Error", error.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Gets the API key for a provider
+ * User Properties come first, then Script Properties. A plain key still in
+ * cell B2 (from before keys were stored in properties) belongs to the provider
+ * in A2; it is moved to Script Properties and masked in the sheet the first
+ * time that provider's key is read.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet
+ * @param {string} provider - Provider code (a key of AI_PROVIDERS)
+ * @returns {string} API key
+ */
+function getAPIKey(spreadsheet, provider) {
+  const property = AI_PROVIDERS[provider].apiKeyProperty;
+
+  const apiKey =
+    PropertiesService.getUserProperties().getProperty(property) ||
+    PropertiesService.getScriptProperties().getProperty(property) ||
+    (provider === getAIProvider(spreadsheet)
+      ? migrateAPIKeyFromSheet(spreadsheet, property)
+      : "");
+
+  if (!apiKey) {
+    throw new Error(
+      `No ${AI_PROVIDERS[provider].label} API key set. Use VPAT Processor → Set API Key.`,
+    );
+  }
+  if (!KNOWN_API_KEYS.includes(apiKey)) {
+    KNOWN_API_KEYS.push(apiKey);
+  }
+  return apiKey;
+}
+
+/**
+ * Moves a plain API key in cell B2 to Script Properties and masks the cell
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet
+ * @param {string} property - Property name for the key of the provider in A2
+ * @returns {string} The migrated key, or "" if B2 has none
+ */
+function migrateAPIKeyFromSheet(spreadsheet, property) {
+  const providerSheet = spreadsheet.getSheetByName(
+    CONFIG.AI_PROVIDER_SHEET_NAME,
+  );
+  if (!providerSheet) {
+    return "";
+  }
+
+  const apiKey = String(
+    providerSheet.getRange(CONFIG.AI_API_KEY_CELL).getValue(),
+  ).trim();
+  if (!apiKey || apiKey.startsWith(CONFIG.API_KEY_MASK)) {
+    return "";
+  }
+
+  PropertiesService.getScriptProperties().setProperty(property, apiKey);
+  KNOWN_API_KEYS.push(apiKey);
+  maskAPIKeyCell(spreadsheet, apiKey, false);
+  Logger.log(
+    `Moved the API key from cell ${CONFIG.AI_API_KEY_CELL} to Script Properties (${property})`,
+  );
+  return apiKey;
+}
+
+/**
+ * Replaces cell B2 with a note showing where the key is stored and its last characters
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet
+ * @param {string} apiKey - Stored key
+ * @param {boolean} userOnly - Stored in User Properties (not Script Properties)
+ */
+function maskAPIKeyCell(spreadsheet, apiKey, userOnly) {
+  const providerSheet = spreadsheet.getSheetByName(
+    CONFIG.AI_PROVIDER_SHEET_NAME,
+  );
+  if (!providerSheet) {
+    return;
+  }
+  const ending = apiKey.length > 12 ? ` (ends in ${apiKey.slice(-4)})` : "";
+  providerSheet
+    .getRange(CONFIG.AI_API_KEY_CELL)
+    .setValue(
+      `${CONFIG.API_KEY_MASK} stored in ${userOnly ? "User" : "Script"} Properties${ending}`,
+    );
+}
+
+/**
+ * Removes API keys from text before it is logged
+ * Replaces the keys read by this execution and anything shaped like a
+ * common provider key (OpenAI/Anthropic "sk-...", Google "AIza...").
+ * @param {*} value - Text to log (other values are returned unchanged)
+ * @returns {*} Text with keys replaced by "[redacted]"
+ */
+function redactAPIKeys(value) {
+  if (typeof value !== "string") {
+    return value;
+  }
+  let text = value;
+  for (const apiKey of KNOWN_API_KEYS) {
+    if (apiKey.length >= 8) {
+      text = text.split(apiKey).join("[redacted]");
+    }
+  }
+  return text.replace(CONFIG.API_KEY_PATTERN, "[redacted]");
+}
+
 /*******************************************************
  * MAIN PROCESSING FUNCTION
  *******************************************************/
 
 /**
  * Runs both extraction and interpretation in sequence
+ * Runs as a resumable job, so it continues in the background past the time limit
  */
 function runFullProcessing() {
-  processVPATDocument();
-  // Small delay between operations
-  Utilities.sleep(2000);
-  interpretConformanceLevels();
+  startFullProcessingJob([
+    CONFIG.JOBS.STEPS.EXTRACT,
+    CONFIG.JOBS.STEPS.INTERPRET,
+  ]);
 }
 
 /**
  * Runs all three processes: extraction, interpretation, and quality analysis
+ * Runs as a resumable job, so it continues in the background past the time limit
  */
 function runFullProcessingWithQuality() {
-  processVPATDocument();
-  Utilities.sleep(2000);
-  interpretConformanceLevels();
-  Utilities.sleep(2000);
-  analyzeQualityChecklist();
+  startFullProcessingJob([
+    CONFIG.JOBS.STEPS.EXTRACT,
+    CONFIG.JOBS.STEPS.INTERPRET,
+    CONFIG.JOBS.STEPS.QUALITY,
+  ]);
 }
 
 /**
- * Main entry point for VPAT processing (extraction only)
- * Orchestrates the entire workflow
+ * Asks once for the document and row range, then runs the given steps as one job
+ * (interpretation uses the extraction row range, quality analysis the same document)
+ * @param {string[]} steps - CONFIG.JOBS.STEPS values in the order to run them
  */
-function processVPATDocument() {
+function startFullProcessingJob(steps) {
   const ui = SpreadsheetApp.getUi();
   const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
 
   try {
-    // Step 1: Get user input
     const userConfig = getUserInput(ui);
     if (!userConfig) {
       return; // User cancelled
     }
 
-    // Step 2: Validate sheet structure
-    const columnMap = validateAndMapColumns(sheet);
-
-    // Step 3: Determine row range (use all rows if not specified)
-    let startRow = userConfig.startRow;
-    let endRow = userConfig.endRow;
-
-    if (startRow === null || endRow === null) {
-      // Get all rows with data in the criteria column
-      const lastRow = sheet.getLastRow();
-      startRow = CONFIG.DEFAULT_START_ROW;
-      endRow = lastRow;
-      showProgress(
-        `Processing all criteria (rows ${startRow} to ${endRow})...`,
-      );
-    }
-
-    // Step 4: Get criteria from sheet
-    const criteriaMap = getCriteriaFromSheet(
-      sheet,
-      columnMap,
-      startRow,
-      endRow,
+    startJob({
+      steps,
+      sheetName: sheet.getName(),
+      fileId: userConfig.fileId,
+      startRow: userConfig.startRow,
+      endRow: userConfig.endRow,
+    });
+  } catch (error) {
+    Logger.log(`Error in startFullProcessingJob: ${error.message}`);
+    SpreadsheetApp.getActiveSpreadsheet().toast(
+      `Error: ${error.message}`,
+      "Processing Failed",
+      10,
     );
+  }
+}
 
-    if (criteriaMap.size === 0) {
-      SpreadsheetApp.getActiveSpreadsheet().toast(
-        `No criteria found in rows ${startRow} to ${endRow}.`,
-        "Error",
-        10,
-      );
-      return;
-    }
-
-    // Step 5: Show progress indicator
-    showProgress(`Processing ${criteriaMap.size} criteria...`);
-
-    // Step 6: Load document and extract tables
-    const documentData = loadDocument(userConfig.fileId);
-
-    // Step 7: Extract VPAT data from tables
-    showProgress(
-      `Extracting data from ${documentData.tables.length} tables...`,
-    );
-    const vpatData = extractVPATData(documentData.tables, criteriaMap);
+/**
+ * Extraction that also appends a row for every document criterion the sheet
+ * doesn't have yet, so a blank template can be filled from a new VPAT
+ */
+function processVPATDocumentAndBuildCriteria() {
+  processVPATDocument({ buildCriteria: true });
+}
 
-    // Step 9: Write data to sheet
-    showProgress(`Writing data to sheet...`);
-    const results = writeDataToSheet(sheet, vpatData, columnMap);
+/**
+ * Main entry point for VPAT processing (extraction only)
+ * Asks for the document and row range, then runs extraction as a job
+ * @param {Object} [options] - { buildCriteria: append rows for unmatched criteria }
+ */
+function processVPATDocument(options) {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
 
-    // Step 10: Cleanup and show results
-    showProgress(`Cleaning up temporary files...`);
-    cleanup(documentData.tempDocId);
+  try {
+    // Step 1: Get user input
+    const userConfig = getUserInput(ui);
+    if (!userConfig) {
+      return; // User cancelled
+    }
 
-    // Use toast instead of blocking alert
-    const message = `✓ Complete! Updated ${results.rowsUpdated} of ${results.totalRows} rows`;
-    SpreadsheetApp.getActiveSpreadsheet().toast(message, "Success", 10);
+    startJob({
+      steps: [CONFIG.JOBS.STEPS.EXTRACT],
+      sheetName: sheet.getName(),
+      fileId: userConfig.fileId,
+      startRow: userConfig.startRow,
+      endRow: userConfig.endRow,
+      buildCriteria: Boolean(options && options.buildCriteria),
+    });
   } catch (error) {
     Logger.log(`Error in processVPATDocument: ${error.message}`);
-    Logger.log(error.stack);
-
-    // Use toast for errors too
     SpreadsheetApp.getActiveSpreadsheet().toast(
       `Error: ${error.message}`,
       "Processing Failed",
       10,
     );
-  } finally {
-    // Always hide progress, never throw
-    try {
-      hideProgress();
-    } catch (e) {
-      // Ignore errors in cleanup
-    }
   }
 }
 
-/*******************************************************
- * USER INPUT FUNCTIONS
- *******************************************************/
-
 /**
- * Gets processing configuration from user
- * @param {GoogleAppsScript.Base.Ui} ui - The UI object
- * @returns {Object|null} Configuration object or null if cancelled
+ * Extraction step: reads the document and writes matched criteria to the sheet
+ * Orchestrates the entire extraction workflow; runs in one execution.
+ * @param {Object} job - Job with sheetName, fileId, startRow, endRow, buildCriteria
+ * @returns {Object} { done: true, message } summary for the completion toast
  */
-function getUserInput(ui) {
-  const response = ui.prompt(
-    "VPAT Processor Configuration",
-    "Enter the following separated by commas:\n\n" +
-      "1. Google Drive File ID (Doc/DOCX/PDF)\n" +
-      "2. Start Row (optional - leave empty for all rows)\n" +
-      "3. End Row (optional - leave empty for all rows)\n\n" +
-      "Examples:\n" +
-      "  1AbCdEfG12345..., 2, 50  (process rows 2-50)\n" +
-      "  1AbCdEfG12345...  (process all rows)",
-    ui.ButtonSet.OK_CANCEL,
-  );
+function runExtractionStep(job) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = getJobSheet(job);
+  const buildCriteria = Boolean(job.buildCriteria);
 
-  if (response.getSelectedButton() !== ui.Button.OK) {
-    return null;
+  // Step 2: Validate sheet structure (a blank sheet gets the template headers)
+  if (buildCriteria && sheet.getLastColumn() === 0) {
+    initializeSheetHeaders(sheet);
+  }
+  const columnMap = validateAndMapColumns(sheet);
+
+  // Step 3: Determine row range (use all rows if not specified)
+  let startRow = job.startRow;
+  let endRow = job.endRow;
+
+  // Build mode always checks every row so existing criteria aren't appended twice
+  if (startRow === null || endRow === null || buildCriteria) {
+    // Get all rows with data in the criteria column
+    const lastRow = sheet.getLastRow();
+    startRow = CONFIG.DEFAULT_START_ROW;
+    endRow = lastRow;
+    showProgress(`Processing all criteria (rows ${startRow} to ${endRow})...`);
   }
 
-  const inputs = response
-    .getResponseText()
-    .split(",")
-    .map((s) => s.trim());
-
-  const fileId = inputs[0];
+  // Step 4: Get criteria from sheet
+  const criteriaMap = getCriteriaFromSheet(sheet, columnMap, startRow, endRow);
 
-  // Validate file ID
-  if (!fileId) {
-    throw new Error("File ID cannot be empty.");
+  if (criteriaMap.size === 0 && !buildCriteria) {
+    throw new Error(`No criteria found in rows ${startRow} to ${endRow}.`);
   }
 
-  // If no row numbers provided, return null to indicate "all rows"
-  if (inputs.length === 1 || !inputs[1] || !inputs[2]) {
-    return { fileId, startRow: null, endRow: null };
-  }
+  // Step 5: Show progress indicator
+  showProgress(`Processing ${criteriaMap.size} criteria...`);
 
-  const startRow = parseInt(inputs[1], 10);
-  const endRow = parseInt(inputs[2], 10);
+  // Step 6: Load document and extract tables
+  const documentData = loadDocument(job.fileId);
 
-  // Validate row numbers if provided
-  if (
-    isNaN(startRow) ||
-    isNaN(endRow) ||
-    startRow < CONFIG.DEFAULT_START_ROW ||
-    endRow < startRow
-  ) {
-    throw new Error(
-      `Invalid row numbers. Start row must be >= ${CONFIG.DEFAULT_START_ROW} and end row must be >= start row.`,
-    );
+  // Step 6b: The edition decides which report tables to expect
+  const edition = detectVpatEdition(documentData);
+  job.edition = {
+    code: edition.code,
+    label: edition.label,
+    revision: edition.revision,
+  };
+
+  // Step 7: Extract VPAT data from tables
+  showProgress(`Extracting data from ${documentData.tables.length} tables...`);
+  let extraction = extractVPATData(documentData.tables, criteriaMap, edition);
+
+  // Step 7b: No criteria in any table (flat OCR output, lost table structure) -
+  // rebuild rows from the text layout instead
+  if (extraction.documentCriteria.length === 0) {
+    showProgress(`No criteria in tables, reading document text...`);
+    const textTable = buildTextLayoutTable(documentData.text);
+    if (!textTable) {
+      throw new Error(
+        "No VPAT criteria found in document tables or text. Please check document structure.",
+      );
+    }
+    const skippedTables = extraction.skippedTables;
+    extraction = extractVPATData([textTable], criteriaMap, edition);
+    extraction.skippedTables = skippedTables;
   }
 
-  return { fileId, startRow, endRow };
+  // Step 8: Append rows for criteria the sheet doesn't have (build mode)
+  const addedCriteria = buildCriteria
+    ? appendMissingCriteria(sheet, columnMap, extraction, criteriaMap)
+    : [];
+
+  // Step 9: Write data to sheet
+  showProgress(`Writing data to sheet...`);
+  const results = writeDataToSheet(sheet, extraction.data, columnMap);
+
+  // Step 9b: Record which product/version the document describes
+  const reportInfo = extractReportInfo(documentData, edition);
+  writeReportInfo(ss, reportInfo, job.fileId);
+
+  // Step 9c: Record what matched, what didn't, what appeared twice, and
+  // which criteria of the claimed standard the document left out. With a row
+  // range, criteria elsewhere in the sheet aren't "missing from sheet"
+  const lastRow = sheet.getLastRow();
+  const sheetCriteriaMap =
+    buildCriteria ||
+    (startRow === CONFIG.DEFAULT_START_ROW && endRow >= lastRow)
+      ? criteriaMap
+      : getCriteriaFromSheet(
+          sheet,
+          columnMap,
+          CONFIG.DEFAULT_START_ROW,
+          lastRow,
+        );
+  const report = buildReconciliationReport(
+    extraction,
+    criteriaMap,
+    sheetCriteriaMap,
+  );
+  report.addedToSheet = addedCriteria;
+  report.completeness = checkCriteriaCompleteness(
+    extraction,
+    getClaimedStandards(documentData, extraction, reportInfo),
+  );
+  writeReconciliationReport(ss, report, criteriaMap, job.fileId);
+
+  // Step 10: Summarize results (shown in a toast by the job runner)
+  let message = `✓ Complete! Updated ${results.rowsUpdated} of ${results.totalRows} rows`;
+  if (addedCriteria.length > 0) {
+    message += ` (${addedCriteria.length} criteria rows added)`;
+  }
+  message += `. Matched ${report.matchedCriteria} of ${report.sheetCriteria} criteria; ${report.missingFromSheet.length} missing from sheet, ${report.duplicates.length} duplicates, ${report.completeness.missing.length} missing from ${report.completeness.claimed.description} (see "${CONFIG.RECONCILIATION_SHEET_NAME}")`;
+  if (extraction.skippedTables.length > 0) {
+    message += ` (${extraction.skippedTables.length} table(s) skipped: unrecognized headers or outside the edition, see logs)`;
+  }
+  return { done: true, message };
 }
 
 /*******************************************************
- * SHEET VALIDATION AND COLUMN MAPPING
+ * RESUMABLE JOBS
  *******************************************************/
 
 /**
- * Validates sheet has required columns and creates column index map
- * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The active sheet
- * @returns {Object} Map of column names to column indices
+ * Creates a job, saves its first checkpoint and starts running it
+ * @param {Object} settings - { steps, sheetName, fileId, startRow, endRow, buildCriteria }
  */
-function validateAndMapColumns(sheet) {
-  const headerRow = sheet
-    .getRange(1, 1, 1, sheet.getLastColumn())
-    .getValues()[0];
-  const columnMap = {};
+function startJob(settings) {
+  const job = Object.assign(
+    { fileId: "", startRow: null, endRow: null, buildCriteria: false },
+    settings,
+    {
+      id: Utilities.getUuid(),
+      stepIndex: 0,
+      state: {}, // Checkpoint of the current step
+      messages: [], // Summary of each finished step
+      usage: {}, // AI usage totals by task (see beginAIUsage)
+      status: CONFIG.JOBS.STATUS.RUNNING,
+      createdAt: new Date().toISOString(),
+    },
+  );
+  saveJob(job);
+  runJob(job);
+}
+
+/**
+ * Runs a job's steps from its checkpoint until it finishes, fails or runs out of time
+ * A job that runs out of time is saved as waiting and continued by a trigger.
+ * @param {Object} job - Saved job
+ */
+function runJob(job) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const lock = LockService.getDocumentLock();
+  if (!lock.tryLock(CONFIG.JOBS.LOCK_WAIT_MS)) {
+    pauseJob(job, "Another job was running");
+    return;
+  }
+
+  const deadline = Date.now() + CONFIG.JOBS.MAX_RUNTIME_MS;
+  let stepLabel = "";
+
+  try {
+    job.status = CONFIG.JOBS.STATUS.RUNNING;
+    job.error = "";
+    saveJob(job);
+    // Safety net: if the execution is cut off, this trigger picks the job up again
+    scheduleJobResume(CONFIG.JOBS.STALE_AFTER_MS + CONFIG.JOBS.RESUME_DELAY_MS);
+
+    while (job.stepIndex < job.steps.length) {
+      stepLabel = CONFIG.JOBS.STEP_LABELS[job.steps[job.stepIndex]];
+      const result = runJobStep(job, deadline);
+      if (!result.done) {
+        pauseJob(job, result.message);
+        return;
+      }
+
+      job.messages.push(result.message);
+      job.stepIndex++;
+      job.state = {};
+      saveJob(job);
+
+      // The next step starts with a full time budget in the next run
+      if (job.stepIndex < job.steps.length && Date.now() > deadline) {
+        pauseJob(job, `${stepLabel} finished`);
+        return;
+      }
+    }
+
+    deleteJob(job.id);
+    if (loadJobs().some(isJobResumable)) {
+      scheduleJobResume(CONFIG.JOBS.RESUME_DELAY_MS);
+    } else {
+      deleteJobTriggers();
+    }
+    const usageSummary = describeAIUsage(job.usage);
+    ss.toast(
+      job.messages.concat(usageSummary ? [usageSummary] : []).join("\n"),
+      "Success",
+      10,
+    );
+  } catch (error) {
+    Logger.log(`Error in job ${job.id} (${stepLabel}): ${error.message}`);
+    Logger.log(error.stack);
+    job.status = CONFIG.JOBS.STATUS.FAILED;
+    job.error = error.message;
+    saveJob(job);
+    ss.toast(
+      `Error: ${error.message} (resume it from VPAT Processor → Jobs)`,
+      `${stepLabel} Failed`,
+      10,
+    );
+  } finally {
+    lock.releaseLock();
+    // Always hide progress, never throw
+    try {
+      hideProgress();
+    } catch (e) {
+      // Ignore errors in cleanup
+    }
+  }
+}
+
+/**
+ * Runs the job's current step
+ * @param {Object} job - Saved job
+ * @param {number} deadline - Time (ms) after which steps stop starting new batches
+ * @returns {Object} { done, message }
+ */
+function runJobStep(job, deadline) {
+  const steps = CONFIG.JOBS.STEPS;
+  const step = job.steps[job.stepIndex];
+
+  if (step === steps.EXTRACT) {
+    return runExtractionStep(job);
+  } else if (step === steps.INTERPRET) {
+    return runInterpretationStep(job, deadline);
+  } else if (step === steps.QUALITY) {
+    return runQualityStep(job, deadline);
+  } else {
+    throw new Error(`Unknown job step: ${step}`);
+  }
+}
+
+/**
+ * Saves a job as waiting and makes sure a trigger will continue it
+ * @param {Object} job - Job to pause
+ * @param {string} progress - Where the job stopped
+ */
+function pauseJob(job, progress) {
+  job.status = CONFIG.JOBS.STATUS.WAITING;
+  job.progress = progress;
+  saveJob(job);
+  scheduleJobResume(CONFIG.JOBS.RESUME_DELAY_MS);
+
+  Logger.log(`Job ${job.id} paused: ${progress}`);
+  SpreadsheetApp.getActiveSpreadsheet().toast(
+    `${progress}. Continuing automatically in about a minute (see VPAT Processor → Jobs).`,
+    "Paused",
+    10,
+  );
+}
+
+/**
+ * Trigger handler: continues the oldest job that is waiting or was cut off
+ */
+function resumeVPATJobs() {
+  deleteJobTriggers();
+
+  const jobs = loadJobs();
+  const job = jobs.find(isJobResumable);
+  if (!job) {
+    // A job still running in another execution may be cut off later
+    if (jobs.some((j) => j.status === CONFIG.JOBS.STATUS.RUNNING)) {
+      scheduleJobResume(CONFIG.JOBS.STALE_AFTER_MS);
+    }
+    return;
+  }
+
+  Logger.log(`Resuming job ${job.id} at step ${job.stepIndex + 1}`);
+  runJob(job);
+}
+
+/**
+ * Menu handler: lists jobs in progress and resumes or cancels one
+ */
+function manageVPATJobs() {
+  const ui = SpreadsheetApp.getUi();
+  const jobs = loadJobs();
+
+  if (jobs.length === 0) {
+    ui.alert("VPAT Jobs", "No jobs in progress.", ui.ButtonSet.OK);
+    return;
+  }
+
+  const list = jobs
+    .map((job, index) => `${index + 1}. ${describeJob(job)}`)
+    .join("\n\n");
+  const response = ui.prompt(
+    "VPAT Jobs",
+    `${list}\n\n` +
+      'Type "resume N" to continue job N now, or "cancel N" to discard it:',
+    ui.ButtonSet.OK_CANCEL,
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const match = response
+    .getResponseText()
+    .trim()
+    .match(/^(resume|cancel)\s+(\d+)$/i);
+  const job = match ? jobs[parseInt(match[2], 10) - 1] : null;
+  if (!job) {
+    ui.alert("VPAT Jobs", 'Enter "resume N" or "cancel N".', ui.ButtonSet.OK);
+    return;
+  }
+
+  if (match[1].toLowerCase() === "cancel") {
+    deleteJob(job.id);
+    if (loadJobs().length === 0) {
+      deleteJobTriggers();
+    }
+    SpreadsheetApp.getActiveSpreadsheet().toast(
+      "Job cancelled. Rows already written are kept.",
+      "VPAT Jobs",
+      5,
+    );
+  } else if (
+    job.status === CONFIG.JOBS.STATUS.RUNNING &&
+    !isJobResumable(job)
+  ) {
+    ui.alert(
+      "VPAT Jobs",
+      "This job is still running. Try again in a few minutes.",
+      ui.ButtonSet.OK,
+    );
+  } else {
+    runJob(job);
+  }
+}
+
+/**
+ * Describes a job for the Jobs dialog
+ * @param {Object} job - Saved job
+ * @returns {string} Steps, sheet, status and progress
+ */
+function describeJob(job) {
+  const labels = CONFIG.JOBS.STEP_LABELS;
+  const current = job.steps[job.stepIndex];
+
+  let text = `${job.steps.map((step) => labels[step]).join(" → ")} on "${job.sheetName}"`;
+  if (job.fileId) {
+    text += ` (${job.fileId})`;
+  }
+  text += `\n   ${job.status}: step ${job.stepIndex + 1} of ${job.steps.length} (${labels[current]})`;
+  if (job.progress) {
+    text += ` - ${job.progress}`;
+  }
+  if (job.error) {
+    text += `\n   Error: ${job.error}`;
+  }
+  text += `\n   Last update: ${job.updatedAt}`;
+  return text;
+}
+
+/**
+ * Whether a trigger should continue a job: waiting, or marked running but not
+ * updated for longer than an execution can last. Failed jobs are only resumed
+ * by hand from the Jobs dialog, once the cause is fixed.
+ * @param {Object} job - Saved job
+ * @returns {boolean} True if the job can be resumed automatically
+ */
+function isJobResumable(job) {
+  const status = CONFIG.JOBS.STATUS;
+  if (job.status === status.WAITING) return true;
+  if (job.status !== status.RUNNING) return false;
+  return (
+    Date.now() - new Date(job.updatedAt).getTime() > CONFIG.JOBS.STALE_AFTER_MS
+  );
+}
+
+/**
+ * Gets the sheet a job works on
+ * @param {Object} job - Saved job
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The sheet
+ */
+function getJobSheet(job) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(
+    job.sheetName,
+  );
+  if (!sheet) {
+    throw new Error(`Sheet "${job.sheetName}" not found.`);
+  }
+  return sheet;
+}
+
+/**
+ * Saves a job checkpoint in the document properties
+ * @param {Object} job - Job to save
+ */
+function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  PropertiesService.getDocumentProperties().setProperty(
+    CONFIG.JOBS.PROPERTY_PREFIX + job.id,
+    JSON.stringify(job),
+  );
+}
+
+/**
+ * Loads all saved jobs, oldest first
+ * @returns {Object[]} Saved jobs
+ */
+function loadJobs() {
+  const properties = PropertiesService.getDocumentProperties().getProperties();
+  return Object.keys(properties)
+    .filter((key) => key.startsWith(CONFIG.JOBS.PROPERTY_PREFIX))
+    .map((key) => JSON.parse(properties[key]))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Deletes a saved job
+ * @param {string} jobId - Job ID
+ */
+function deleteJob(jobId) {
+  PropertiesService.getDocumentProperties().deleteProperty(
+    CONFIG.JOBS.PROPERTY_PREFIX + jobId,
+  );
+}
+
+/**
+ * Replaces the job resume trigger with a one-off trigger after the given delay
+ * (a single trigger is enough: each run continues the next waiting job)
+ * @param {number} delayMs - Delay before the trigger fires
+ */
+function scheduleJobResume(delayMs) {
+  deleteJobTriggers();
+  ScriptApp.newTrigger(CONFIG.JOBS.RESUME_HANDLER)
+    .timeBased()
+    .after(delayMs)
+    .create();
+}
+
+/**
+ * Removes the job resume triggers (one-off triggers stay listed after they fire)
+ */
+function deleteJobTriggers() {
+  for (const trigger of ScriptApp.getProjectTriggers()) {
+    if (trigger.getHandlerFunction() === CONFIG.JOBS.RESUME_HANDLER) {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  }
+}
+
+/*******************************************************
+ * USER INPUT FUNCTIONS
+ *******************************************************/
+
+/**
+ * Gets processing configuration from user
+ * @param {GoogleAppsScript.Base.Ui} ui - The UI object
+ * @returns {Object|null} Configuration object or null if cancelled
+ */
+function getUserInput(ui) {
+  const response = ui.prompt(
+    "VPAT Processor Configuration",
+    "Enter the following separated by commas:\n\n" +
+      "1. Google Drive File ID (Doc/DOCX/PDF/HTML) or VPAT web page URL\n" +
+      "2. Start Row (optional - leave empty for all rows)\n" +
+      "3. End Row (optional - leave empty for all rows)\n\n" +
+      "Examples:\n" +
+      "  1AbCdEfG12345..., 2, 50  (process rows 2-50)\n" +
+      "  1AbCdEfG12345...  (process all rows)",
+    ui.ButtonSet.OK_CANCEL,
+  );
+
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return null;
+  }
+
+  const inputs = response
+    .getResponseText()
+    .split(",")
+    .map((s) => s.trim());
+
+  // A VPAT URL may itself contain commas: its row numbers are the last two
+  // fields, and only when both are numeric (or empty)
+  let fileId = inputs[0];
+  let rowInputs = inputs.slice(1, 3);
+  if (/^https?:\/\//i.test(fileId)) {
+    const hasRowFields =
+      inputs.length >= 3 && inputs.slice(-2).every((s) => /^\d*$/.test(s));
+    rowInputs = hasRowFields ? inputs.slice(-2) : [];
+    fileId = inputs.slice(0, hasRowFields ? -2 : undefined).join(",");
+  }
+
+  // Validate file ID
+  if (!fileId) {
+    throw new Error("File ID cannot be empty.");
+  }
+
+  // If no row numbers provided, return null to indicate "all rows"
+  if (!rowInputs[0] || !rowInputs[1]) {
+    return { fileId, startRow: null, endRow: null };
+  }
+
+  const startRow = parseInt(rowInputs[0], 10);
+  const endRow = parseInt(rowInputs[1], 10);
+
+  // Validate row numbers if provided
+  if (
+    isNaN(startRow) ||
+    isNaN(endRow) ||
+    startRow < CONFIG.DEFAULT_START_ROW ||
+    endRow < startRow
+  ) {
+    throw new Error(
+      `Invalid row numbers. Start row must be >= ${CONFIG.DEFAULT_START_ROW} and end row must be >= start row.`,
+    );
+  }
+
+  return { fileId, startRow, endRow };
+}
+
+/*******************************************************
+ * SHEET VALIDATION AND COLUMN MAPPING
+ *******************************************************/
+
+/**
+ * Validates sheet has required columns and creates column index map
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The active sheet
+ * @returns {Object} Map of column names to column indices
+ */
+function validateAndMapColumns(sheet) {
+  const headerRow = sheet
+    .getRange(1, 1, 1, sheet.getLastColumn())
+    .getValues()[0];
+  const columnMap = {};
 
   // Find each required column
   for (const [key, columnName] of Object.entries(CONFIG.COLUMN_NAMES)) {
@@ -324,9 +1561,62 @@ function validateAndMapColumns(sheet) {
     columnMap[key] = colIndex + 1; // Convert to 1-based index
   }
 
+  mapOptionalColumns(headerRow, columnMap);
   return columnMap;
 }
 
+/**
+ * Writes the template's required column headers to an empty sheet
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The empty sheet
+ */
+function initializeSheetHeaders(sheet) {
+  const headers = Object.values(CONFIG.COLUMN_NAMES);
+  sheet
+    .getRange(1, 1, 1, headers.length)
+    .setValues([headers])
+    .setFontWeight("bold");
+  sheet.setFrozenRows(1);
+  Logger.log(`Initialized blank sheet with ${headers.length} column headers`);
+}
+
+/**
+ * Adds any optional columns present in the header row to the column map
+ * @param {Array} headerRow - Values of the sheet's header row
+ * @param {Object} columnMap - Column index mapping (modified in place)
+ */
+function mapOptionalColumns(headerRow, columnMap) {
+  for (const [key, columnName] of Object.entries(
+    CONFIG.OPTIONAL_COLUMN_NAMES,
+  )) {
+    const colIndex = headerRow.indexOf(columnName);
+    if (colIndex !== -1) {
+      columnMap[key] = colIndex + 1;
+    }
+  }
+}
+
+/**
+ * Appends headers for optional columns the sheet doesn't have yet
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The target sheet
+ * @param {Object} columnMap - Column index mapping (modified in place)
+ * @param {string[]} keys - Keys from CONFIG.OPTIONAL_COLUMN_NAMES
+ */
+function ensureOptionalColumns(sheet, columnMap, keys) {
+  for (const key of keys) {
+    if (columnMap[key]) continue;
+
+    const newCol = sheet.getLastColumn() + 1;
+    sheet
+      .getRange(1, newCol)
+      .setValue(CONFIG.OPTIONAL_COLUMN_NAMES[key])
+      .setFontWeight("bold");
+    columnMap[key] = newCol;
+    Logger.log(
+      `Added column "${CONFIG.OPTIONAL_COLUMN_NAMES[key]}" at column ${newCol}`,
+    );
+  }
+}
+
 /*******************************************************
  * CRITERIA EXTRACTION
  *******************************************************/
@@ -340,11 +1630,19 @@ function validateAndMapColumns(sheet) {
  * @returns {Map<string, number>} Map of normalized criteria to row numbers
  */
 function getCriteriaFromSheet(sheet, columnMap, startRow, endRow) {
+  const criteriaMap = new Map();
+  if (endRow < startRow) {
+    return criteriaMap; // No data rows yet
+  }
+
   const criteriaCol = columnMap.CRITERIA;
-  const range = sheet.getRange(startRow, criteriaCol, endRow - startRow + 1, 1);
-  const values = range.getValues();
+  const numRows = endRow - startRow + 1;
+  const values = sheet.getRange(startRow, criteriaCol, numRows, 1).getValues();
 
-  const criteriaMap = new Map();
+  // The Section column (when present) tells which standard a bare number belongs to
+  const sections = columnMap.SECTION
+    ? sheet.getRange(startRow, columnMap.SECTION, numRows, 1).getValues()
+    : null;
 
   Logger.log(`=== GET CRITERIA FROM SHEET DEBUG ===`);
   Logger.log(`Criteria column: ${criteriaCol}`);
@@ -352,7 +1650,10 @@ function getCriteriaFromSheet(sheet, columnMap, startRow, endRow) {
 
   values.forEach((row, index) => {
     const criteriaText = row[0];
-    const normalizedKey = normalizeCriteriaKey(criteriaText);
+    const sectionStandard = sections
+      ? detectStandardInText(sections[index][0])
+      : null;
+    const normalizedKey = normalizeCriteriaKey(criteriaText, sectionStandard);
 
     Logger.log(
       `Sheet row ${
@@ -372,19 +1673,87 @@ function getCriteriaFromSheet(sheet, columnMap, startRow, endRow) {
 }
 
 /**
- * Normalizes criteria text to extract key (e.g., "1.1.1" from "1.1.1 Non-text Content")
+ * Normalizes criteria text to a key namespaced by standard
+ * e.g. "1.4.3 Contrast" -> "WCAG:1.4.3", "302.1 Without Vision" -> "508:302.1",
+ * "EN 301 549 9.1.4.3" -> "EN:9.1.4.3". The chapter/clause is the leading number,
+ * so 508 chapters 3-6 and EN clauses 4-13 never collide within a standard.
  * @param {string} text - The criteria text
+ * @param {string|null} [standardHint] - Standard of the table/section the text
+ *   came from, used when the number alone doesn't identify the standard
  * @returns {string|null} Normalized key or null
  */
-function normalizeCriteriaKey(text) {
+function normalizeCriteriaKey(text, standardHint) {
   if (!text) return null;
 
   const cleaned = String(text).replace(/\n/g, " ").replace(/\s+/g, " ").trim();
 
-  // Extract numeric pattern like "1.1.1" or "4.1"
-  const match = cleaned.match(/^[^\d]*([0-9]+\.[0-9]+(?:\.[0-9]+)*)/);
+  // An explicit standard name in front of the number wins
+  // ("Section 508 302.1", "EN 301 549 V3.2.1 9.1.4.3", "WCAG 2.1 1.3.4")
+  const prefixMatch = cleaned.match(
+    /^\s*(?:(?:revised\s+)?section\s+508|en\s*301\s*549(?:\s*v\d+(?:\.\d+)+)?|wcag\s*2(?:\.\d)?)\b[\s:,-]*/i,
+  );
+  const explicitStandard = prefixMatch
+    ? detectStandardInText(prefixMatch[0])
+    : null;
+  const remainder = prefixMatch
+    ? cleaned.substring(prefixMatch[0].length)
+    : cleaned;
+
+  // Extract numeric pattern like "1.1.1", "302.1" or "11.1.1.1.1"
+  const match = remainder.match(/^[^\d]*([0-9]+\.[0-9]+(?:\.[0-9]+)*)/);
+  if (!match) return null;
+
+  const number = match[1];
+  const standard =
+    explicitStandard ||
+    classifyCriterionNumber(number) ||
+    standardHint ||
+    CONFIG.CRITERIA_STANDARDS.WCAG;
+
+  return `${standard}:${number}`;
+}
+
+/**
+ * Infers the standard from the shape of a criterion number
+ * @param {string} number - Dotted criterion number
+ * @returns {string|null} Standard code from CONFIG.CRITERIA_STANDARDS or null if ambiguous
+ */
+function classifyCriterionNumber(number) {
+  const parts = number.split(".").map((p) => parseInt(p, 10));
+  const standards = CONFIG.CRITERIA_STANDARDS;
+
+  // Revised 508 sections are three-digit chapter numbers (302.1, 502.2.1, 602.3)
+  if (parts[0] >= 100) return standards.SECTION_508;
+
+  // EN 301 549 clauses 5-13, functional performance 4.2.x and deep clause numbers
+  if (parts[0] >= 5 && parts[0] <= 13) return standards.EN_301_549;
+  if (parts[0] === 4 && parts[1] === 2) return standards.EN_301_549;
+  if (parts.length >= 4) return standards.EN_301_549;
+
+  // WCAG success criteria: principle.guideline.criterion
+  if (parts.length === 3 && parts[0] >= 1 && parts[0] <= 4) {
+    return standards.WCAG;
+  }
+
+  return null;
+}
+
+/**
+ * Finds the first standard named in a heading or label
+ * @param {string} text - Heading, table title or header text
+ * @returns {string|null} Standard code from CONFIG.CRITERIA_STANDARDS or null
+ */
+function detectStandardInText(text) {
+  const cleaned = String(text || "");
+  const standards = CONFIG.CRITERIA_STANDARDS;
+
+  if (/\ben\s*301\s*549\b|\bclause\b/i.test(cleaned)) {
+    return standards.EN_301_549;
+  }
+  if (/\b508\b/.test(cleaned)) return standards.SECTION_508;
+  if (/\bwcag\b|success criteri/i.test(cleaned)) return standards.WCAG;
 
-  return match ? match[1] : null;
+  return null;
 }
 
 /*******************************************************
@@ -392,188 +1761,147 @@ function normalizeCriteriaKey(text) {
  *******************************************************/
 
 /**
- * Loads document from Drive and extracts tables
- * Handles Google Docs, DOCX, and PDF files (auto-converts as needed)
- * @param {string} fileId - Google Drive file ID
- * @returns {Object} Object containing tables array and optional tempDocId
+ * Loads document from Drive (or a web page) and reads its tables and text
+ * Handles Google Docs, DOCX (read directly from the OOXML package), HTML files
+ * or URLs, and PDF (OCR'd through a temporary Google Doc that is always trashed afterwards)
+ * @param {string} fileId - Google Drive file ID, or an http(s) URL of an HTML VPAT
+ * @param {Object} [options] - { fetchUrl: function(url) returning HTML text,
+ *   defaults to fetchHtmlFromUrl; pass a stub to load a local fixture }
+ * @returns {Object} { tables: [{ heading, rows }], text } where rows is a grid of cell text
  */
-function loadDocument(fileId) {
+function loadDocument(fileId, options) {
   let tempDocId = null;
 
   try {
+    let documentData;
+
+    if (/^https?:\/\//i.test(fileId)) {
+      const fetchUrl = (options && options.fetchUrl) || fetchHtmlFromUrl;
+      Logger.log(`Reading HTML VPAT from URL: ${fileId}`);
+      showProgress("Fetching VPAT web page...");
+      documentData = readHtmlDocument(fetchUrl(fileId));
+      return finishLoadedDocument(documentData);
+    }
+
     const file = DriveApp.getFileById(fileId);
     const mimeType = file.getMimeType();
 
-    let docId = fileId;
-
-    // Handle DOCX conversion
-    if (
+    if (mimeType === "text/html") {
+      Logger.log(`Reading HTML file: ${file.getName()}`);
+      documentData = readHtmlDocument(file.getBlob().getDataAsString());
+    } else if (
       mimeType ===
       "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
     ) {
-      Logger.log(`Converting DOCX to Google Doc: ${file.getName()}`);
-      docId = convertDocxToGoogleDoc(file);
-      tempDocId = docId;
+      Logger.log(`Reading DOCX directly: ${file.getName()}`);
+      showProgress("Reading DOCX file...");
+      documentData = readDocxDocument(file.getBlob());
     }
     // Handle PDF conversion (with OCR)
     else if (mimeType === "application/pdf") {
       Logger.log(`Converting PDF to Google Doc (with OCR): ${file.getName()}`);
-      docId = convertPdfToGoogleDoc(file);
-      tempDocId = docId;
-    } else if (mimeType !== "application/vnd.google-apps.document") {
-      throw new Error(
-        `Unsupported file type: ${mimeType}. Please use Google Doc, DOCX, or PDF format.`,
-      );
-    }
-
-    // Open document and extract tables
-    const doc = DocumentApp.openById(docId);
-    const tables = doc.getBody().getTables();
-
-    if (!tables || tables.length === 0) {
+      tempDocId = convertPdfToGoogleDoc(file);
+      documentData = readGoogleDocument(tempDocId);
+    } else if (mimeType === "application/vnd.google-apps.document") {
+      documentData = readGoogleDocument(fileId);
+    } else {
       throw new Error(
-        "No tables found in document. Please check document structure.",
+        `Unsupported file type: ${mimeType}. Please use Google Doc, DOCX, PDF, or HTML format.`,
       );
     }
 
-    return { tables, tempDocId };
+    return finishLoadedDocument(documentData);
   } catch (error) {
-    // Cleanup temp doc if error occurs
+    throw new Error(`Failed to load document: ${error.message}`);
+  } finally {
+    // The converted copy is only needed while reading it
     if (tempDocId) {
       cleanupTempDoc(tempDocId);
     }
-    throw new Error(`Failed to load document: ${error.message}`);
   }
 }
 
 /**
- * Converts DOCX file to Google Doc format
- * @param {GoogleAppsScript.Drive.File} file - The DOCX file
- * @returns {string} ID of converted Google Doc
+ * Checks a loaded document has content and logs what was read
+ * @param {Object} documentData - { tables, text } from one of the readers
+ * @returns {Object} The same document data
  */
-function convertDocxToGoogleDoc(file) {
-  showProgress("Converting DOCX to Google Doc...");
-  const blob = file.getBlob();
+function finishLoadedDocument(documentData) {
+  if (documentData.tables.length === 0 && !documentData.text.trim()) {
+    throw new Error(
+      "No tables or text found in document. Please check document structure.",
+    );
+  }
+  if (documentData.tables.length === 0) {
+    Logger.log("No tables found; extraction will fall back to the text layout");
+  }
 
-  const converted = Drive.Files.create(
-    {
-      name: `[Temp VPAT] ${file.getName()} ${new Date().toISOString()}`,
-      mimeType: "application/vnd.google-apps.document",
-    },
-    blob,
+  Logger.log(
+    `Loaded ${documentData.tables.length} tables and ${documentData.text.length} characters of text`,
   );
-
-  // Wait a moment for conversion to complete
-  Utilities.sleep(2000);
-  Logger.log(`DOCX converted to Google Doc with ID: ${converted.id}`);
-  return converted.id;
+  return documentData;
 }
 
 /**
- * Converts PDF file to Google Doc format with OCR
- * @param {GoogleAppsScript.Drive.File} file - The PDF file
- * @returns {string} ID of converted Google Doc
+ * Reads tables and body text from a Google Doc
+ * @param {string} docId - Google Doc ID
+ * @returns {Object} { tables: [{ heading, rows }], text }
  */
-function convertPdfToGoogleDoc(file) {
-  showProgress("Converting PDF to Google Doc (this may take a moment)...");
-  const blob = file.getBlob();
+function readGoogleDocument(docId) {
+  const body = DocumentApp.openById(docId).getBody();
 
-  // Convert PDF to Google Doc with OCR enabled
-  const converted = Drive.Files.create(
-    {
-      name: `[Temp VPAT] ${file.getName()} ${new Date().toISOString()}`,
-      mimeType: "application/vnd.google-apps.document",
-    },
-    blob,
-    {
-      ocrLanguage: "en", // OCR is automatically applied when converting PDF to Doc
-    },
-  );
+  const tables = body.getTables().map((table) => ({
+    heading: getTableHeading(table),
+    rows: tableToGrid(table),
+  }));
 
-  // Wait longer for PDF conversion (OCR takes time)
-  showProgress("Waiting for PDF conversion to complete...");
-  Utilities.sleep(5000);
-  Logger.log(`PDF converted to Google Doc with ID: ${converted.id}`);
-  return converted.id;
+  return { tables, text: body.getText() };
 }
 
-/*******************************************************
- * VPAT DATA EXTRACTION
- *******************************************************/
-
 /**
- * Extracts VPAT data from document tables
- * @param {GoogleAppsScript.Document.Table[]} tables - Array of tables from document
- * @param {Map<string, number>} criteriaMap - Map of criteria to row numbers
- * @returns {Object} Map of row numbers to VPAT data
+ * Reads a document table into a grid of cell text
+ * @param {GoogleAppsScript.Document.Table} table - The document table
+ * @returns {string[][]} Rows of trimmed cell text
  */
-function extractVPATData(tables, criteriaMap) {
-  const vpatData = {};
-  let rowsProcessed = 0;
-
-  Logger.log(`=== EXTRACT VPAT DATA DEBUG ===`);
-  Logger.log(`Number of tables: ${tables.length}`);
-  Logger.log(`Criteria map size: ${criteriaMap.size}`);
-  Logger.log(
-    `Criteria keys in map: ${Array.from(criteriaMap.keys()).join(", ")}`,
-  );
-
-  for (const table of tables) {
-    const numRows = table.getNumRows();
-    Logger.log(`Processing table with ${numRows} rows`);
-
-    // Skip header row (start from index 1)
-    for (let i = 1; i < numRows; i++) {
-      try {
-        const row = table.getRow(i);
-
-        // Ensure row has expected number of columns
-        if (row.getNumCells() < CONFIG.EXPECTED_TABLE_COLUMNS) {
-          Logger.log(
-            `Row ${i} has ${row.getNumCells()} cells, expected ${
-              CONFIG.EXPECTED_TABLE_COLUMNS
-            }, skipping`,
-          );
-          continue;
-        }
-
-        // Extract cell data
-        const criteriaText = getCellText(row.getCell(0));
-        const conformanceText = getCellText(row.getCell(1));
-        const remarksText = getCellText(row.getCell(2));
-
-        // Normalize criteria and find matching row
-        const criteriaKey = normalizeCriteriaKey(criteriaText);
-
-        Logger.log(
-          `Table row ${i}: criteria="${criteriaText}" -> key="${criteriaKey}"`,
-        );
-
-        if (criteriaKey && criteriaMap.has(criteriaKey)) {
-          const targetRow = criteriaMap.get(criteriaKey);
+function tableToGrid(table) {
+  const rows = [];
+
+  for (let i = 0; i < table.getNumRows(); i++) {
+    const row = table.getRow(i);
+    const cells = [];
+    for (let j = 0; j < row.getNumCells(); j++) {
+      cells.push(getCellText(row.getCell(j)));
+    }
+    rows.push(cells);
+  }
 
-          vpatData[targetRow] = {
-            conformanceLevel: conformanceText,
-            remarks: remarksText,
-            originalCriteria: criteriaText,
-          };
+  return rows;
+}
 
-          Logger.log(
-            `✓ Matched! Writing to sheet row ${targetRow}: conformance="${conformanceText}"`,
-          );
-          rowsProcessed++;
-        } else {
-          Logger.log(`✗ No match in criteria map for key "${criteriaKey}"`);
-        }
-      } catch (error) {
-        Logger.log(`Error processing table row ${i}: ${error.message}`);
-        // Continue processing other rows
-      }
+/**
+ * Finds the nearest non-empty paragraph above a table (its heading or caption)
+ * @param {GoogleAppsScript.Document.Table} table - The document table
+ * @returns {string} Heading text or empty string
+ */
+function getTableHeading(table) {
+  let element = table.getPreviousSibling();
+
+  for (let steps = 0; element && steps < 5; steps++) {
+    const type = element.getType();
+    let text = "";
+    if (type === DocumentApp.ElementType.PARAGRAPH) {
+      text = element.asParagraph().getText().trim();
+    } else if (type === DocumentApp.ElementType.LIST_ITEM) {
+      text = element.asListItem().getText().trim();
+    } else if (type === DocumentApp.ElementType.TABLE) {
+      break; // Don't borrow a heading from the previous table
     }
+
+    if (text) return text;
+    element = element.getPreviousSibling();
   }
 
-  Logger.log(`=== EXTRACTION COMPLETE: ${rowsProcessed} criteria matched ===`);
-  return vpatData;
+  return "";
 }
 
 /**
@@ -590,1059 +1918,5757 @@ function getCellText(cell) {
   }
 }
 
-/*******************************************************
- * SHEET WRITING
- *******************************************************/
-
 /**
- * Writes extracted VPAT data to sheet
- * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The target sheet
- * @param {Object} vpatData - Map of row numbers to VPAT data
- * @param {Object} columnMap - Column index mapping
- * @returns {Object} Processing results statistics
+ * Reads tables and body text from a DOCX blob without converting it
+ * Walks word/document.xml: merged cells keep the grid aligned (a gridSpan cell's
+ * text goes in its first column, vMerge continuation cells are empty, matching
+ * Google Docs), and each paragraph in a cell becomes a line of the cell text.
+ * Transitional and Strict OOXML are both read; other namespaces are rejected.
+ * @param {GoogleAppsScript.Base.Blob} blob - The DOCX file contents
+ * @returns {Object} { tables: [{ heading, rows }], text }
  */
-function writeDataToSheet(sheet, vpatData, columnMap) {
-  let rowsUpdated = 0;
+function readDocxDocument(blob) {
+  const parts = Utilities.unzip(
+    blob.copyBlob().setContentType("application/zip"),
+  );
+  const documentPart = parts.find(
+    (part) => part.getName() === "word/document.xml",
+  );
+  if (!documentPart) {
+    throw new Error("Invalid DOCX file: word/document.xml not found.");
+  }
 
-  const sortedRows = Object.keys(vpatData)
-    .map((r) => parseInt(r, 10))
-    .sort((a, b) => a - b);
+  const root = XmlService.parse(
+    documentPart.getDataAsString("UTF-8"),
+  ).getRootElement();
+  const ns = root.getNamespace();
+  if (!CONFIG.DOCX_NAMESPACES.includes(ns.getURI())) {
+    throw new Error(
+      `Unsupported DOCX file: unknown document namespace "${ns.getURI()}". Save it as a Word Document (.docx) and try again.`,
+    );
+  }
+  const body = root.getChild("body", ns);
+  if (!body) {
+    throw new Error("Invalid DOCX file: word/document.xml has no body.");
+  }
 
-  Logger.log(`=== WRITE DATA TO SHEET DEBUG ===`);
-  Logger.log(`Total rows to write: ${sortedRows.length}`);
-  Logger.log(`vpatData keys: ${Object.keys(vpatData).join(", ")}`);
-  Logger.log(`Column map CONFORMANCE_LEVEL: ${columnMap.CONFORMANCE_LEVEL}`);
-  Logger.log(`Column map REMARKS: ${columnMap.REMARKS}`);
+  const tables = [];
+  const textLines = [];
+  let lastParagraph = ""; // Heading candidate for the next table
+
+  for (const element of getDocxBlockElements(body, ns)) {
+    if (element.getName() === "p") {
+      const text = getDocxParagraphText(element, ns).trim();
+      textLines.push(text);
+      if (text) lastParagraph = text;
+    } else if (element.getName() === "tbl") {
+      const rows = readDocxTable(element, ns);
+      tables.push({ heading: lastParagraph, rows });
+      rows.forEach((cells) => textLines.push(cells.join("\t")));
+      lastParagraph = "";
+    }
+  }
 
-  for (const rowNum of sortedRows) {
-    try {
-      const data = vpatData[rowNum];
-      Logger.log(
-        `Writing row ${rowNum}: Conformance="${
-          data.conformanceLevel
-        }", Remarks="${data.remarks.substring(0, 50)}..."`,
-      );
+  Logger.log(`DOCX parsed: ${tables.length} tables`);
+  return { tables, text: textLines.join("\n") };
+}
 
-      // Write conformance level
-      sheet
-        .getRange(rowNum, columnMap.CONFORMANCE_LEVEL)
-        .setValue(data.conformanceLevel);
+/**
+ * Lists the paragraphs and tables of a DOCX container in document order,
+ * looking through content controls (w:sdt) and custom XML wrappers
+ * @param {GoogleAppsScript.XML_Service.Element} container - Body or cell element
+ * @param {GoogleAppsScript.XML_Service.Namespace} ns - WordprocessingML namespace
+ * @returns {GoogleAppsScript.XML_Service.Element[]} w:p and w:tbl elements
+ */
+function getDocxBlockElements(container, ns) {
+  const blocks = [];
+
+  for (const child of container.getChildren()) {
+    const name = child.getName();
+    if (name === "p" || name === "tbl") {
+      blocks.push(child);
+    } else if (name === "sdt") {
+      const content = child.getChild("sdtContent", ns);
+      if (content) blocks.push(...getDocxBlockElements(content, ns));
+    } else if (name === "customXml") {
+      blocks.push(...getDocxBlockElements(child, ns));
+    }
+  }
 
-      // Write remarks
-      sheet.getRange(rowNum, columnMap.REMARKS).setValue(data.remarks);
+  return blocks;
+}
 
-      rowsUpdated++;
-      Logger.log(`Successfully wrote row ${rowNum}`);
-    } catch (error) {
-      Logger.log(`Error writing data to row ${rowNum}: ${error.message}`);
-      Logger.log(`Error stack: ${error.stack}`);
+/**
+ * Reads a DOCX table into a grid of cell text
+ * @param {GoogleAppsScript.XML_Service.Element} tbl - w:tbl element
+ * @param {GoogleAppsScript.XML_Service.Namespace} ns - WordprocessingML namespace
+ * @returns {string[][]} Rows of cell text, one entry per grid column
+ */
+function readDocxTable(tbl, ns) {
+  const rows = [];
+
+  for (const tr of getDocxChildren(tbl, "tr", ns)) {
+    const cells = [];
+
+    // Grid columns skipped before the first cell
+    const trPr = tr.getChild("trPr", ns);
+    const gridBefore = trPr
+      ? getDocxIntValue(trPr.getChild("gridBefore", ns), ns)
+      : 0;
+    for (let i = 0; i < gridBefore; i++) cells.push("");
+
+    for (const tc of getDocxChildren(tr, "tc", ns)) {
+      const tcPr = tc.getChild("tcPr", ns);
+      const span = tcPr
+        ? getDocxIntValue(tcPr.getChild("gridSpan", ns), ns)
+        : 0;
+      const vMerge = tcPr ? tcPr.getChild("vMerge", ns) : null;
+      const vMergeVal =
+        vMerge && vMerge.getAttribute("val", ns)
+          ? vMerge.getAttribute("val", ns).getValue()
+          : null;
+      const isContinuation = Boolean(vMerge) && vMergeVal !== "restart";
+
+      cells.push(isContinuation ? "" : getDocxCellText(tc, ns));
+      for (let i = 1; i < span; i++) cells.push("");
     }
-  }
 
-  Logger.log(`=== WRITE COMPLETE: ${rowsUpdated} rows updated ===`);
+    rows.push(cells);
+  }
 
-  return {
-    totalRows: sortedRows.length,
-    rowsUpdated: rowsUpdated,
-    rowsFailed: sortedRows.length - rowsUpdated,
-  };
+  return rows;
 }
 
-/*******************************************************
- * UTILITY FUNCTIONS
- *******************************************************/
-
 /**
- * Shows progress toast notification
- * @param {string} message - Progress message
+ * Returns direct children with the given name, looking through w:sdt wrappers
+ * @param {GoogleAppsScript.XML_Service.Element} parent - Parent element
+ * @param {string} name - Local element name (e.g. "tr", "tc")
+ * @param {GoogleAppsScript.XML_Service.Namespace} ns - WordprocessingML namespace
+ * @returns {GoogleAppsScript.XML_Service.Element[]} Matching elements
  */
-function showProgress(message) {
-  SpreadsheetApp.getActiveSpreadsheet().toast(message, "VPAT Processor", -1);
+function getDocxChildren(parent, name, ns) {
+  const matches = [];
+
+  for (const child of parent.getChildren()) {
+    if (child.getName() === name) {
+      matches.push(child);
+    } else if (child.getName() === "sdt" || child.getName() === "customXml") {
+      const content =
+        child.getName() === "sdt" ? child.getChild("sdtContent", ns) : child;
+      if (content) matches.push(...getDocxChildren(content, name, ns));
+    }
+  }
+
+  return matches;
 }
 
 /**
- * Hides progress toast notification
+ * Reads the text of a DOCX table cell, one line per paragraph
+ * Nested tables contribute their cells' text as further lines.
+ * @param {GoogleAppsScript.XML_Service.Element} tc - w:tc element
+ * @param {GoogleAppsScript.XML_Service.Namespace} ns - WordprocessingML namespace
+ * @returns {string} Trimmed cell text
  */
-function hideProgress() {
-  SpreadsheetApp.getActiveSpreadsheet().toast("", "VPAT Processor", 1);
+function getDocxCellText(tc, ns) {
+  const lines = [];
+
+  for (const element of getDocxBlockElements(tc, ns)) {
+    if (element.getName() === "p") {
+      lines.push(getDocxParagraphText(element, ns));
+    } else {
+      for (const cells of readDocxTable(element, ns)) {
+        lines.push(cells.filter(Boolean).join(" "));
+      }
+    }
+  }
+
+  return lines.join("\n").trim();
 }
 
 /**
- * Cleans up temporary document if it exists
- * @param {string|null} tempDocId - Temporary document ID
+ * Reads the visible text of a DOCX paragraph (runs, hyperlinks, tracked insertions)
+ * Deleted text and field instructions are skipped. Text boxes and shapes in
+ * mc:AlternateContent repeat their text in mc:Choice and mc:Fallback, so only
+ * the fallback is read.
+ * @param {GoogleAppsScript.XML_Service.Element} element - w:p or any run container
+ * @param {GoogleAppsScript.XML_Service.Namespace} ns - WordprocessingML namespace
+ * @returns {string} Paragraph text
  */
-function cleanup(tempDocId) {
-  if (tempDocId) {
-    cleanupTempDoc(tempDocId);
+function getDocxParagraphText(element, ns) {
+  let text = "";
+
+  for (const child of element.getChildren()) {
+    const name = child.getName();
+    if (name === "t") {
+      text += child.getText();
+    } else if (name === "tab") {
+      text += "\t";
+    } else if (name === "br" || name === "cr") {
+      text += "\n";
+    } else if (
+      name !== "del" &&
+      name !== "instrText" &&
+      name !== "Choice" &&
+      name !== "pPr" &&
+      name !== "rPr"
+    ) {
+      text += getDocxParagraphText(child, ns);
+    }
   }
+
+  return text;
 }
 
 /**
- * Deletes temporary document from Drive
- * @param {string} docId - Document ID to delete
+ * Reads the integer w:val attribute of a DOCX property element
+ * @param {GoogleAppsScript.XML_Service.Element|null} element - Property element
+ * @param {GoogleAppsScript.XML_Service.Namespace} ns - WordprocessingML namespace
+ * @returns {number} The value, or 0 if missing
  */
-function cleanupTempDoc(docId) {
-  try {
-    // Use DriveApp instead of Drive API for more reliable deletion
-    const file = DriveApp.getFileById(docId);
-    file.setTrashed(true);
-    Logger.log(`Cleaned up temporary document: ${docId}`);
-  } catch (error) {
-    // Don't throw - just log the error
-    Logger.log(`Failed to cleanup temp doc ${docId}: ${error.message}`);
-  }
+function getDocxIntValue(element, ns) {
+  if (!element) return 0;
+  const attribute = element.getAttribute("val", ns);
+  return attribute ? parseInt(attribute.getValue(), 10) || 0 : 0;
 }
 
 /**
- * Shows completion message to user
- * @param {GoogleAppsScript.Base.Ui} ui - UI object
- * @param {Object} results - Processing results
+ * Downloads a VPAT web page (default fetcher for loadDocument)
+ * @param {string} url - Page URL
+ * @returns {string} HTML text
  */
-function showCompletionMessage(ui, results) {
-  const message =
-    `Processing Complete!\n\n` +
-    `Rows Updated: ${results.rowsUpdated}\n` +
-    `Total Processed: ${results.totalRows}`;
+function fetchHtmlFromUrl(url) {
+  const response = UrlFetchApp.fetch(url, {
+    muteHttpExceptions: true,
+    followRedirects: true,
+  });
+  const statusCode = response.getResponseCode();
 
-  if (results.rowsFailed > 0) {
-    ui.alert(
-      "Processing Complete (with warnings)",
-      `${message}\n\nWarning: ${results.rowsFailed} rows had errors. Check logs for details.`,
-      ui.ButtonSet.OK,
-    );
-  } else {
-    ui.alert("Success", message, ui.ButtonSet.OK);
+  if (statusCode !== 200) {
+    throw new Error(`Fetching ${url} returned ${statusCode}`);
   }
+  return response.getContentText();
 }
 
-/*******************************************************
- * AI INTERPRETATION FUNCTIONALITY
- *******************************************************/
-
 /**
- * Main function to interpret conformance levels using AI
- * Processes only rows that were populated in the last extraction run
+ * Reads tables and text from an HTML VPAT
+ * <th> and <td> are both cells; rowspan/colspan keep the grid aligned the same way
+ * as merged DOCX cells (text in the first slot, spanned slots empty). A table's
+ * <caption>, or else the nearest text above it, becomes its heading.
+ * @param {string} html - HTML source
+ * @returns {Object} { tables: [{ heading, rows }], text }
  */
-function interpretConformanceLevels() {
-  const ui = SpreadsheetApp.getUi();
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const sheet = ss.getActiveSheet();
+function readHtmlDocument(html) {
+  const source = String(html || "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style|noscript|template|head)\b[\s\S]*?<\/\1\s*>/gi, "");
+
+  const tables = [];
+  const textLines = [];
+  const openTables = []; // Stack for nested tables
+  let line = ""; // Text outside tables, up to the next block boundary
+  let lastText = ""; // Heading candidate for the next table
+
+  const flushLine = () => {
+    const text = line.replace(/\s+/g, " ").trim();
+    if (text) {
+      textLines.push(text);
+      lastText = text;
+    }
+    line = "";
+  };
 
-  try {
-    // Step 1: Validate columns exist
-    const columnMap = validateAndMapColumnsForInterpretation(sheet);
+  const tagPattern = /<(\/?)([a-zA-Z][\w:-]*)([^>]*)>|([^<]+)/g;
+  let match;
 
-    // Step 2: Get the prompt and confidence threshold from Prompts sheet
-    const systemPrompt = getPromptFromSheet(ss);
-    const confidenceThreshold = getConfidenceThreshold(ss);
+  while ((match = tagPattern.exec(source))) {
+    const table = openTables[openTables.length - 1];
 
-    // Step 3: Get user input for row range
-    const userConfig = getRowRangeForInterpretation(ui);
-    if (!userConfig) {
-      return; // User cancelled
+    if (match[4] !== undefined) {
+      const text = decodeHtmlEntities(match[4]);
+      if (table && table.cell !== null) {
+        table.cell += text;
+      } else if (table && table.inCaption) {
+        table.caption += text;
+      } else if (!table) {
+        line += text;
+      }
+      continue;
     }
 
-    // Determine row range
-    let startRow = userConfig.startRow;
-    let endRow = userConfig.endRow;
-
-    if (startRow === null || endRow === null) {
-      const lastRow = sheet.getLastRow();
-      startRow = CONFIG.DEFAULT_START_ROW;
-      endRow = lastRow;
+    const isClosing = match[1] === "/";
+    const tag = match[2].toLowerCase();
+    const attributes = match[3];
+
+    if (tag === "table") {
+      if (!isClosing) {
+        flushLine();
+        openTables.push(createHtmlTableState(lastText));
+      } else if (table) {
+        closeHtmlRow(table);
+        openTables.pop();
+        const model = {
+          heading: table.caption.replace(/\s+/g, " ").trim() || table.heading,
+          rows: table.rows,
+        };
+        tables.push(model);
+        model.rows.forEach((cells) => textLines.push(cells.join("\t")));
+
+        // A nested table's text also belongs to the enclosing cell
+        const parent = openTables[openTables.length - 1];
+        if (parent && parent.cell !== null) {
+          parent.cell +=
+            "\n" + model.rows.map((cells) => cells.join(" ")).join("\n");
+        }
+        lastText = "";
+      }
+    } else if (table && tag === "caption") {
+      table.inCaption = !isClosing;
+    } else if (table && tag === "tr") {
+      closeHtmlRow(table);
+      if (!isClosing) table.row = [];
+    } else if (table && (tag === "td" || tag === "th")) {
+      closeHtmlCell(table);
+      if (!isClosing) {
+        if (!table.row) table.row = [];
+        table.cell = "";
+        table.colspan = getHtmlSpanAttribute(attributes, "colspan");
+        table.rowspan = getHtmlSpanAttribute(attributes, "rowspan");
+      }
+    } else if (/^(br|p|div|li|h[1-6]|tr|dt|dd|section|article)$/.test(tag)) {
+      // Block boundaries become line breaks
+      if (table && table.cell !== null) {
+        table.cell += "\n";
+      } else if (!table) {
+        flushLine();
+      }
     }
+  }
 
-    // Step 4: Find rows with original conformance data (from extraction)
-    showProgress(`Analyzing ${endRow - startRow + 1} rows...`);
-    const rowsToProcess = findRowsWithConformanceData(
-      sheet,
-      columnMap,
-      startRow,
-      endRow,
-    );
+  flushLine();
+  while (openTables.length > 0) {
+    // Unclosed tables at the end of a malformed page
+    const table = openTables.pop();
+    closeHtmlRow(table);
+    tables.push({ heading: table.heading, rows: table.rows });
+  }
 
-    if (rowsToProcess.length === 0) {
-      SpreadsheetApp.getActiveSpreadsheet().toast(
-        "No rows with conformance data found. Run extraction first.",
-        "No Data",
-        5,
-      );
-      return;
-    }
+  Logger.log(`HTML parsed: ${tables.length} tables`);
+  return { tables, text: textLines.join("\n") };
+}
 
-    // Step 5: Process each row with AI
-    showProgress(`Interpreting ${rowsToProcess.length} rows with AI...`);
-    const results = processRowsWithAI(
-      sheet,
-      columnMap,
-      rowsToProcess,
-      systemPrompt,
-      confidenceThreshold,
-    );
+/**
+ * Creates the parser state for an HTML table
+ * @param {string} heading - Text above the table
+ * @returns {Object} Table state
+ */
+function createHtmlTableState(heading) {
+  return {
+    heading,
+    caption: "",
+    inCaption: false,
+    rows: [],
+    row: null, // Cells of the open row
+    cell: null, // Text of the open cell
+    colspan: 1,
+    rowspan: 1,
+    spans: [], // Column index -> rows still covered by a rowspan from above
+    newSpans: [], // Rowspans started in the open row
+  };
+}
 
-    // Step 6: Show completion
-    const message = `✓ Interpreted ${results.success} of ${rowsToProcess.length} rows`;
-    SpreadsheetApp.getActiveSpreadsheet().toast(message, "Success", 10);
-  } catch (error) {
-    Logger.log(`Error in interpretConformanceLevels: ${error.message}`);
-    Logger.log(error.stack);
-    SpreadsheetApp.getActiveSpreadsheet().toast(
-      `Error: ${error.message}`,
-      "Interpretation Failed",
-      10,
-    );
-  } finally {
-    hideProgress();
+/**
+ * Places the open cell into the open row, honoring rowspans from earlier rows
+ * @param {Object} table - Table state
+ */
+function closeHtmlCell(table) {
+  if (table.cell === null) return;
+
+  fillHtmlRowspans(table);
+  const col = table.row.length;
+  table.row.push(normalizeHtmlCellText(table.cell));
+  for (let i = 1; i < table.colspan; i++) table.row.push("");
+
+  if (table.rowspan > 1) {
+    for (let i = 0; i < table.colspan; i++) {
+      table.newSpans[col + i] = table.rowspan - 1;
+    }
   }
+
+  table.cell = null;
 }
 
 /**
- * Gets row range from user for interpretation
+ * Finishes the open row: closes its cell and fills columns still spanned from above
+ * @param {Object} table - Table state
  */
-function getRowRangeForInterpretation(ui) {
-  const response = ui.prompt(
-    "AI Interpretation Configuration",
-    "Enter row range to interpret (optional):\n\n" +
-      "Start Row, End Row\n\n" +
-      "Examples:\n" +
-      "  2, 50  (interpret rows 2-50)\n" +
-      "  (leave empty to interpret all rows)",
-    ui.ButtonSet.OK_CANCEL,
-  );
-
-  if (response.getSelectedButton() !== ui.Button.OK) {
-    return null;
+function closeHtmlRow(table) {
+  closeHtmlCell(table);
+  if (!table.row) return;
+
+  // Trailing columns still covered by rowspans from above
+  for (let col = table.row.length; col < table.spans.length; col++) {
+    if (table.spans[col] > 0) {
+      while (table.row.length <= col) table.row.push("");
+    }
   }
 
-  const input = response.getResponseText().trim();
-
-  // If empty, process all rows
-  if (!input) {
-    return { startRow: null, endRow: null };
+  // This row used up one row of every earlier span; spans it started apply from the next row
+  for (let col = 0; col < table.spans.length; col++) {
+    if (table.spans[col] > 0) table.spans[col]--;
   }
+  table.newSpans.forEach((remaining, col) => {
+    if (remaining > 0) table.spans[col] = remaining;
+  });
+  table.newSpans = [];
 
-  const inputs = input.split(",").map((s) => s.trim());
-  const startRow = parseInt(inputs[0], 10);
-  const endRow = parseInt(inputs[1], 10);
+  if (table.row.length > 0) {
+    table.rows.push(table.row);
+  }
+  table.row = null;
+}
 
-  if (
-    isNaN(startRow) ||
-    isNaN(endRow) ||
-    startRow < CONFIG.DEFAULT_START_ROW ||
-    endRow < startRow
-  ) {
-    throw new Error("Invalid row numbers.");
+/**
+ * Adds empty slots for columns occupied by rowspans at the current row position
+ * @param {Object} table - Table state
+ */
+function fillHtmlRowspans(table) {
+  while (table.spans[table.row.length] > 0) {
+    table.row.push("");
   }
+}
 
-  return { startRow, endRow };
+/**
+ * Reads a rowspan/colspan attribute value
+ * @param {string} attributes - Raw attribute text of the tag
+ * @param {string} name - Attribute name
+ * @returns {number} Span of at least 1
+ */
+function getHtmlSpanAttribute(attributes, name) {
+  const match = attributes.match(
+    new RegExp(`\\b${name}\\s*=\\s*["']?(\\d+)`, "i"),
+  );
+  return match ? Math.max(1, parseInt(match[1], 10)) : 1;
 }
 
 /**
- * Validates that interpreted columns exist in the sheet
+ * Collapses HTML whitespace in cell text while keeping line breaks from block tags
+ * @param {string} text - Raw cell text
+ * @returns {string} One trimmed line per block
  */
-function validateAndMapColumnsForInterpretation(sheet) {
-  const headerRow = sheet
-    .getRange(1, 1, 1, sheet.getLastColumn())
-    .getValues()[0];
-  const columnMap = {};
+function normalizeHtmlCellText(text) {
+  return text
+    .split("\n")
+    .map((lineText) => lineText.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+}
 
-  // Required columns for interpretation
-  const requiredColumns = {
-    CRITERIA: CONFIG.COLUMN_NAMES.CRITERIA,
-    CONFORMANCE_LEVEL: CONFIG.COLUMN_NAMES.CONFORMANCE_LEVEL,
-    REMARKS: CONFIG.COLUMN_NAMES.REMARKS,
-    CONFORMANCE_INTERPRETED: CONFIG.COLUMN_NAMES.CONFORMANCE_INTERPRETED,
-    WEB_INTERPRETED: CONFIG.COLUMN_NAMES.WEB_INTERPRETED,
-    ELECTRONIC_DOCS_INTERPRETED:
-      CONFIG.COLUMN_NAMES.ELECTRONIC_DOCS_INTERPRETED,
-    SOFTWARE_INTERPRETED: CONFIG.COLUMN_NAMES.SOFTWARE_INTERPRETED,
-    CLOSED_INTERPRETED: CONFIG.COLUMN_NAMES.CLOSED_INTERPRETED,
-    AUTHORING_INTERPRETED: CONFIG.COLUMN_NAMES.AUTHORING_INTERPRETED,
-    AI_COMMENT: CONFIG.COLUMN_NAMES.AI_COMMENT,
-    NEEDS_REVIEW: CONFIG.COLUMN_NAMES.NEEDS_REVIEW,
+/**
+ * Decodes the HTML entities that appear in VPAT pages
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeHtmlEntities(text) {
+  const named = {
+    amp: "&",
+    lt: "<",
+    gt: ">",
+    quot: '"',
+    apos: "'",
+    nbsp: " ",
+    ndash: "–",
+    mdash: "—",
+    lsquo: "‘",
+    rsquo: "’",
+    ldquo: "“",
+    rdquo: "”",
+    hellip: "…",
+    bull: "•",
+    reg: "®",
+    trade: "™",
+    copy: "©",
   };
 
-  for (const [key, columnName] of Object.entries(requiredColumns)) {
-    const colIndex = headerRow.indexOf(columnName);
-    if (colIndex === -1) {
-      throw new Error(
-        `Required column "${columnName}" not found in sheet headers.`,
-      );
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const isHex = code[1] === "x" || code[1] === "X";
+      const value = parseInt(code.substring(isHex ? 2 : 1), isHex ? 16 : 10);
+      // Values past the last Unicode code point are kept as written
+      return isNaN(value) || value > 0x10ffff
+        ? entity
+        : String.fromCodePoint(value);
     }
-    columnMap[key] = colIndex + 1;
+    const decoded = named[code.toLowerCase()];
+    return decoded === undefined ? entity : decoded;
+  });
+}
+
+/**
+ * Converts PDF file to Google Doc format with OCR
+ * @param {GoogleAppsScript.Drive.File} file - The PDF file
+ * @returns {string} ID of converted Google Doc
+ */
+function convertPdfToGoogleDoc(file) {
+  showProgress("Converting PDF to Google Doc (this may take a moment)...");
+  const blob = file.getBlob();
+
+  // Convert PDF to Google Doc with OCR enabled
+  const converted = Drive.Files.create(
+    {
+      name: `[Temp VPAT] ${file.getName()} ${new Date().toISOString()}`,
+      mimeType: "application/vnd.google-apps.document",
+    },
+    blob,
+    {
+      ocrLanguage: "en", // OCR is automatically applied when converting PDF to Doc
+    },
+  );
+
+  // Wait longer for PDF conversion (OCR takes time)
+  showProgress("Waiting for PDF conversion to complete...");
+  Utilities.sleep(5000);
+  Logger.log(`PDF converted to Google Doc with ID: ${converted.id}`);
+  return converted.id;
+}
+
+/**
+ * Local HTML VPAT used by checkHtmlDocumentFixture: a <th> row header, a
+ * rowspan remark and a colspan section row
+ */
+const HTML_VPAT_FIXTURE = `<html><body>
+<h2>Table 1: Success Criteria, Level A</h2>
+<table>
+  <thead>
+    <tr><th>Criteria</th><th>Conformance Level</th><th>Remarks and Explanations</th></tr>
+  </thead>
+  <tbody>
+    <tr>
+      <th scope="row">1.1.1 Non-text Content (Level A)</th>
+      <td>Supports</td>
+      <td rowspan="2">Alt text &amp; captions are provided.</td>
+    </tr>
+    <tr>
+      <td>1.2.1 Audio-only and Video-only (Prerecorded) (Level A)</td>
+      <td>Partially Supports</td>
+    </tr>
+    <tr><td colspan="3">Chapter 4: Hardware - Not Applicable</td></tr>
+  </tbody>
+</table>
+</body></html>`;
+
+/**
+ * Checks the URL path of loadDocument against HTML_VPAT_FIXTURE without
+ * fetching anything. Run it from the Apps Script editor after changing the
+ * HTML reader; it throws on the first mismatch.
+ */
+function checkHtmlDocumentFixture() {
+  const url = "https://example.com/vpat,accessibility.html";
+  let fetchedUrl = null;
+  const documentData = loadDocument(url, {
+    fetchUrl: (requested) => {
+      fetchedUrl = requested;
+      return HTML_VPAT_FIXTURE;
+    },
+  });
+
+  const expected = [
+    {
+      heading: "Table 1: Success Criteria, Level A",
+      rows: [
+        ["Criteria", "Conformance Level", "Remarks and Explanations"],
+        [
+          "1.1.1 Non-text Content (Level A)",
+          "Supports",
+          "Alt text & captions are provided.",
+        ],
+        // The rowspan cell is read once; the row it spans keeps an empty slot
+        [
+          "1.2.1 Audio-only and Video-only (Prerecorded) (Level A)",
+          "Partially Supports",
+          "",
+        ],
+        // The colspan cell fills its first column and pads the rest
+        ["Chapter 4: Hardware - Not Applicable", "", ""],
+      ],
+    },
+  ];
+
+  if (fetchedUrl !== url) {
+    throw new Error(`Fixture check: fetched ${fetchedUrl} instead of ${url}`);
+  }
+  const actual = JSON.stringify(documentData.tables);
+  if (actual !== JSON.stringify(expected)) {
+    throw new Error(`Fixture check: unexpected tables ${actual}`);
   }
 
-  return columnMap;
+  Logger.log("HTML fixture check passed");
 }
 
+/*******************************************************
+ * VPAT DATA EXTRACTION
+ *******************************************************/
+
 /**
- * Gets the interpretation prompt from the Prompts sheet
+ * Extracts VPAT data from document tables
+ * Columns are located by header text, so tables with extra or reordered
+ * columns are read correctly and tables without recognizable headers are skipped
+ * @param {Object[]} tables - Tables from loadDocument ({ heading, rows })
+ * @param {Map<string, number>} criteriaMap - Map of criteria to row numbers
+ * @param {Object} [edition] - From detectVpatEdition; tables of a standard the
+ *   edition doesn't report on are skipped, and a single-standard edition is the
+ *   standard hint for tables that don't name one
+ * @returns {Object} Extraction result: data (row number -> VPAT data), skippedTables,
+ *   and documentCriteria (every criterion row found, in document order)
  */
-function getPromptFromSheet(spreadsheet) {
-  try {
-    const promptsSheet = spreadsheet.getSheetByName(CONFIG.PROMPTS_SHEET_NAME);
+function extractVPATData(tables, criteriaMap, edition) {
+  const vpatData = {};
+  const skippedTables = [];
+  const documentCriteria = []; // Every criterion row, in document order
+  let rowsProcessed = 0;
 
-    if (!promptsSheet) {
-      throw new Error(
-        `"${CONFIG.PROMPTS_SHEET_NAME}" sheet not found. Please create it with columns: "Prompt Name" and "Prompt Text"`,
+  const catalog = getCriteriaCatalog();
+  const editionStandards = edition ? edition.standards : null;
+
+  Logger.log(`=== EXTRACT VPAT DATA DEBUG ===`);
+  Logger.log(`Number of tables: ${tables.length}`);
+  Logger.log(`Criteria map size: ${criteriaMap.size}`);
+  Logger.log(
+    `Criteria keys in map: ${Array.from(criteriaMap.keys()).join(", ")}`,
+  );
+
+  tables.forEach((table, tableIndex) => {
+    const rows = table.rows;
+    Logger.log(`Processing table ${tableIndex + 1} with ${rows.length} rows`);
+
+    const header = detectTableColumns(rows);
+    if (!header) {
+      const preview = rows.length > 0 ? rows[0].join(" | ") : "(empty table)";
+      Logger.log(
+        `Table ${tableIndex + 1}: no recognizable header row, skipping. First row: "${preview}"`,
       );
+      skippedTables.push({ tableNumber: tableIndex + 1, firstRow: preview });
+      return;
     }
 
-    const data = promptsSheet.getDataRange().getValues();
+    const columns = header.columns;
 
-    // Find the prompt by name (skip header row)
-    for (let i = 1; i < data.length; i++) {
-      const promptName = data[i][CONFIG.PROMPT_NAME_COLUMN - 1];
-      const promptText = data[i][CONFIG.PROMPT_TEXT_COLUMN - 1];
+    // Standard named in the heading or title/header rows disambiguates bare numbers
+    const heading = table.heading;
+    const namedStandard = detectStandardInText(
+      [heading]
+        .concat(rows.slice(0, header.dataStartRow).map((r) => r.join(" ")))
+        .join(" "),
+    );
+    if (
+      namedStandard &&
+      editionStandards &&
+      !editionStandards.includes(namedStandard)
+    ) {
+      Logger.log(
+        `Table ${tableIndex + 1}: ${namedStandard} table is not part of the ${edition.label}, skipping`,
+      );
+      skippedTables.push({
+        tableNumber: tableIndex + 1,
+        firstRow: rows[0].join(" | "),
+      });
+      return;
+    }
+    const tableStandard =
+      namedStandard ||
+      (editionStandards && editionStandards.length === 1
+        ? editionStandards[0]
+        : null);
+    Logger.log(
+      `Table ${tableIndex + 1}: header rows=${header.dataStartRow}, columns=${JSON.stringify(columns)}, standard=${tableStandard}`,
+    );
 
-      if (promptName === CONFIG.INTERPRET_PROMPT_NAME) {
-        if (!promptText) {
-          throw new Error(`Prompt "${CONFIG.INTERPRET_PROMPT_NAME}" is empty.`);
+    // Last criterion row, so per-product-type sub-rows can be folded into it
+    let currentEntry = null;
+
+    for (let i = header.dataStartRow; i < rows.length; i++) {
+      try {
+        const cells = rows[i];
+
+        // Extract cell data by detected column position
+        const criteriaText = getGridCell(cells, columns.CRITERIA);
+        const conformanceText = getGridCell(cells, columns.CONFORMANCE);
+        const remarksText = getGridCell(cells, columns.REMARKS);
+        const levelText = getGridCell(cells, columns.LEVEL);
+
+        // Normalize criteria and find matching row
+        const criteriaKey = normalizeCriteriaKey(criteriaText, tableStandard);
+
+        Logger.log(
+          `Table row ${i}: criteria="${criteriaText}" -> key="${criteriaKey}"`,
+        );
+
+        // Sub-row under the previous criterion (merged criteria cell or a
+        // product-type label such as "Web" in the criteria column)
+        const platformLabel = criteriaKey
+          ? null
+          : getPlatformLabel(criteriaText);
+        if (!criteriaKey && currentEntry && (!criteriaText || platformLabel)) {
+          appendPlatformSubRow(
+            currentEntry,
+            platformLabel,
+            conformanceText,
+            remarksText,
+          );
+          Logger.log(`Folded sub-row ${i} into previous criterion`);
+          continue;
         }
-        return promptText;
+        currentEntry = null;
+        if (!criteriaKey) {
+          continue; // Note or section row without a criterion number
+        }
+
+        // Every criterion is recorded, matched or not, for the reconciliation report
+        const entry = {
+          key: criteriaKey,
+          tableNumber: tableIndex + 1,
+          conformanceLevel: conformanceText,
+          remarks: remarksText,
+          originalCriteria: criteriaText,
+          level: levelText,
+          section: formatSectionLabel(heading, tableStandard),
+          extractionNote: table.textLayout
+            ? CONFIG.TEXT_LAYOUT.REVIEW_NOTE
+            : "",
+          crossReferences: parseAlsoAppliesTo(criteriaText),
+          details: parseCriterionDetails(criteriaText, levelText),
+        };
+        fillDetailsFromCatalog(entry.details, catalog.get(criteriaKey));
+        documentCriteria.push(entry);
+        currentEntry = entry;
+
+        if (criteriaMap.has(criteriaKey)) {
+          const targetRow = criteriaMap.get(criteriaKey);
+          if (vpatData[targetRow]) {
+            Logger.log(
+              `⚠ "${criteriaKey}" appears more than once; table ${entry.tableNumber} replaces table ${vpatData[targetRow].tableNumber}`,
+            );
+          }
+          vpatData[targetRow] = entry;
+
+          Logger.log(
+            `✓ Matched! Writing to sheet row ${targetRow}: conformance="${conformanceText}"`,
+          );
+          rowsProcessed++;
+        } else {
+          Logger.log(`✗ No match in criteria map for key "${criteriaKey}"`);
+        }
+      } catch (error) {
+        Logger.log(`Error processing table row ${i}: ${error.message}`);
+        // Continue processing other rows
       }
     }
+  });
 
-    throw new Error(
-      `Prompt "${CONFIG.INTERPRET_PROMPT_NAME}" not found in "${CONFIG.PROMPTS_SHEET_NAME}" sheet.`,
-    );
-  } catch (error) {
-    throw new Error(`Failed to load prompt: ${error.message}`);
+  // Resolve platform-labeled conformance statements without AI
+  let platformRows = 0;
+  for (const entry of documentCriteria) {
+    entry.platformValues = parsePlatformConformance(entry.conformanceLevel);
+    if (entry.platformValues) platformRows++;
   }
+
+  const crossReferenced = fillFromCrossReferences(
+    documentCriteria,
+    criteriaMap,
+    vpatData,
+  );
+
+  Logger.log(`=== EXTRACTION COMPLETE: ${rowsProcessed} criteria matched ===`);
+  Logger.log(`Platform-specific values resolved for ${platformRows} rows`);
+  Logger.log(
+    `Filled ${crossReferenced.length} rows from "Also applies to" references`,
+  );
+  return { data: vpatData, skippedTables, documentCriteria, crossReferenced };
 }
 
 /**
- * Gets the API key from the AI Provider sheet (cell B2)
- * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet
- * @returns {string} API key from cell B2
+ * Builds the Section column text for a table, naming its standard when the
+ * heading doesn't, so bare numbers get the same namespace on later runs
+ * @param {string} heading - Table heading ("" when there is none)
+ * @param {string|null} standard - Standard code of the table
+ * @returns {string} e.g. "Table 2: Functional Performance Criteria (Section 508)"
  */
-function getAPIKeyFromSheet(spreadsheet) {
-  try {
-    const providerSheet = spreadsheet.getSheetByName(
-      CONFIG.AI_PROVIDER_SHEET_NAME,
-    );
+function formatSectionLabel(heading, standard) {
+  const text = String(heading || "").trim();
+  if (!standard || detectStandardInText(text) === standard) {
+    return text;
+  }
+  const name = CONFIG.STANDARD_NAMES[standard];
+  return text ? `${text} (${name})` : name;
+}
 
-    if (!providerSheet) {
-      throw new Error(
-        `Sheet "${CONFIG.AI_PROVIDER_SHEET_NAME}" not found. Please create it with API key in cell B2.`,
-      );
+/**
+ * Derives the criterion name, WCAG level and the WCAG version that introduced it
+ * from the criteria cell, e.g. "2.4.11 Focus Not Obscured (Minimum) (Level AA 2.2 only)"
+ * @param {string} criteriaText - Criteria cell text
+ * @param {string} levelText - Level column text, if the table has one
+ * @returns {Object} { name, level, wcagVersion } (empty strings when not stated)
+ */
+function parseCriterionDetails(criteriaText, levelText) {
+  const title = getCriterionTitle(criteriaText);
+  const numberMatch = title.match(/\d+(?:\.\d+)+/);
+  const afterNumber = numberMatch
+    ? title.substring(numberMatch.index + numberMatch[0].length)
+    : title;
+
+  // Level column first ("AA"), then a "(Level AA)" marker in the criteria text
+  let level = "";
+  const levelMatch =
+    String(levelText || "")
+      .trim()
+      .match(/^(?:level\s*)?(AAA|AA|A)\b/i) ||
+    afterNumber.match(/\blevel\s*(AAA|AA|A)\b/i);
+  if (levelMatch) {
+    level = levelMatch[1].toUpperCase();
+  }
+
+  // "(Level AA 2.1 and 2.2)" or "(WCAG 2.2 only)": the lowest version introduced it
+  let wcagVersion = "";
+  for (const marker of afterNumber.matchAll(/\([^)]*\)/g)) {
+    for (const version of marker[0].matchAll(/\b2\.([0-9])\b/g)) {
+      if (!wcagVersion || version[0] < wcagVersion) {
+        wcagVersion = version[0];
+      }
     }
+  }
 
-    const apiKey = providerSheet.getRange(CONFIG.AI_API_KEY_CELL).getValue();
+  const name = afterNumber
+    .replace(/\([^)]*\b(level|wcag|2\.\d\s*only)\b[^)]*\)/gi, "")
+    .replace(/^[\s:\-–—.]+/, "")
+    .replace(/\s+/g, " ")
+    .trim();
 
-    if (!apiKey || String(apiKey).trim() === "") {
-      throw new Error(
-        `API key not found in cell ${CONFIG.AI_API_KEY_CELL} of "${CONFIG.AI_PROVIDER_SHEET_NAME}" sheet. Please enter your API key.`,
-      );
-    }
+  return { name, level, wcagVersion };
+}
 
-    return String(apiKey).trim();
-  } catch (error) {
-    throw new Error(`Failed to read API key from sheet: ${error.message}`);
-  }
+/**
+ * Completes details the document doesn't state from the criteria catalog
+ * @param {Object} details - Result of parseCriterionDetails (updated in place)
+ * @param {Object|undefined} catalogEntry - Entry from getCriteriaCatalog
+ */
+function fillDetailsFromCatalog(details, catalogEntry) {
+  if (!catalogEntry) return;
+  details.name = details.name || catalogEntry.name;
+  details.level = details.level || catalogEntry.level;
+  details.wcagVersion = details.wcagVersion || catalogEntry.version;
 }
 
 /**
- * Gets the AI provider from the AI Provider sheet
- * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet
- * @returns {string} Provider name ("OPENAI" or "GEMINI")
+ * Locates the header row(s) of a VPAT table and maps columns by header text
+ * Title rows above the header (e.g. "Table 1: Success Criteria, Level A") are
+ * skipped, and consecutive header rows are merged so multi-row headers work.
+ * @param {string[][]} rows - Table grid
+ * @returns {Object|null} { columns: {CRITERIA, CONFORMANCE, REMARKS?, LEVEL?}, dataStartRow } or null
  */
-function getAIProvider(spreadsheet) {
-  try {
-    const providerSheet = spreadsheet.getSheetByName(
-      CONFIG.AI_PROVIDER_SHEET_NAME,
-    );
+function detectTableColumns(rows) {
+  const columns = {};
+  let dataStartRow = 0;
+  const limit = Math.min(rows.length, CONFIG.MAX_HEADER_ROWS);
 
-    if (!providerSheet) {
-      Logger.log(
-        `"${CONFIG.AI_PROVIDER_SHEET_NAME}" sheet not found, defaulting to OpenAI`,
-      );
-      return "OPENAI";
+  for (let i = 0; i < limit; i++) {
+    const cells = rows[i];
+
+    // A cell with a criteria number means the data has started
+    if (cells.some((text) => normalizeCriteriaKey(text))) {
+      break;
     }
 
-    const providerValue = providerSheet
-      .getRange(CONFIG.AI_PROVIDER_CELL)
-      .getValue();
-    const provider = String(providerValue).trim().toUpperCase();
+    const roles = cells.map((text) => classifyHeaderCell(text));
+    const distinctRoles = new Set(roles.filter(Boolean));
+    const headerStarted = dataStartRow > 0;
 
-    // Normalize provider names
-    if (provider === "OPENAI" || provider === "OPEN AI") {
-      Logger.log("Using OpenAI provider");
-      return "OPENAI";
-    } else if (provider === "GEMINI") {
-      Logger.log("Using Gemini provider");
-      return "GEMINI";
-    } else {
-      Logger.log(`Unknown provider "${providerValue}", defaulting to OpenAI`);
-      return "OPENAI";
+    if (!headerStarted && distinctRoles.size < 2) {
+      continue; // Title row or blank row above the header
     }
-  } catch (error) {
-    Logger.log(
-      `Error reading AI provider: ${error.message}, defaulting to OpenAI`,
+    if (headerStarted && distinctRoles.size === 0) {
+      break; // Header ended
+    }
+
+    roles.forEach((role, colIndex) => {
+      if (role && columns[role] === undefined) {
+        columns[role] = colIndex;
+      }
+    });
+    dataStartRow = i + 1;
+  }
+
+  if (columns.CRITERIA === undefined || columns.CONFORMANCE === undefined) {
+    return null;
+  }
+
+  return { columns, dataStartRow };
+}
+
+/**
+ * Identifies which column role a header cell names
+ * @param {string} text - Header cell text
+ * @returns {string|null} Role key from CONFIG.TABLE_HEADERS or null
+ */
+function classifyHeaderCell(text) {
+  const cleaned = String(text || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+  if (!cleaned) return null;
+
+  for (const [role, labels] of Object.entries(CONFIG.TABLE_HEADERS)) {
+    for (const label of labels) {
+      if (new RegExp(`\\b${label}\\b`).test(cleaned)) {
+        return role;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Returns the text of a grid cell, or empty string for missing columns
+ * @param {string[]} cells - Row of cell text
+ * @param {number|undefined} colIndex - Column index (undefined if not in table)
+ * @returns {string} Cell text
+ */
+function getGridCell(cells, colIndex) {
+  if (colIndex === undefined || colIndex >= cells.length) {
+    return "";
+  }
+  return cells[colIndex] || "";
+}
+
+/*******************************************************
+ * PLATFORM-SPECIFIC CONFORMANCE
+ *******************************************************/
+
+/**
+ * Parses a conformance cell made of product-type labeled statements
+ * e.g. "Web: Supports / Electronic Docs: Partially Supports / Software: Not Applicable"
+ * @param {string} text - Conformance cell text
+ * @returns {Object|null} Values for every platform key, or null if the text is
+ *   not fully labeled, leaves a product type out, or any value is not a
+ *   recognized conformance term
+ */
+function parsePlatformConformance(text) {
+  const cleaned = String(text || "").trim();
+  if (!cleaned) return null;
+
+  const matches = Array.from(cleaned.matchAll(getPlatformLabelPattern()));
+  if (matches.length === 0) return null;
+
+  // An unlabeled statement before the first label is ambiguous - leave it to AI
+  if (stripStatementSeparators(cleaned.substring(0, matches[0].index))) {
+    return null;
+  }
+
+  const values = {};
+  for (let i = 0; i < matches.length; i++) {
+    const platform = getPlatformKeyForLabel(matches[i][1]);
+    const valueStart = matches[i].index + matches[i][0].length;
+    const valueEnd =
+      i + 1 < matches.length ? matches[i + 1].index : cleaned.length;
+    const rawValue = stripStatementSeparators(
+      cleaned.substring(valueStart, valueEnd),
+    );
+    const value = normalizeConformanceValue(rawValue);
+
+    if (!CONFIG.VALID_CONFORMANCE_VALUES.includes(value)) {
+      return null;
+    }
+    if (values[platform] && values[platform] !== value) {
+      return null; // Conflicting statements for the same product type
+    }
+    values[platform] = value;
+  }
+
+  // A product type the cell leaves out is ambiguous - leave the row to AI
+  for (const platform of Object.keys(CONFIG.PLATFORM_LABELS)) {
+    if (!values[platform]) {
+      return null;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Derives the overall conformance level from per-platform values
+ * @param {Object} platformValues - Map of platform key to conformance value
+ * @returns {string} Overall conformance value
+ */
+function summarizePlatformConformance(platformValues) {
+  const values = Object.values(platformValues);
+  const applicable = values.filter(
+    (v) => v !== "Not Applicable" && v !== "Not Evaluated",
+  );
+
+  if (applicable.length === 0) {
+    return values.includes("Not Evaluated")
+      ? "Not Evaluated"
+      : "Not Applicable";
+  }
+
+  const distinct = new Set(applicable);
+  return distinct.size === 1 ? applicable[0] : "Partially Supports";
+}
+
+/**
+ * Folds a product-type sub-row into the criterion row above it
+ * @param {Object} entry - Extracted data for the criterion
+ * @param {string|null} platformLabel - Label from the sub-row's criteria cell
+ * @param {string} conformanceText - Sub-row conformance text
+ * @param {string} remarksText - Sub-row remarks text
+ */
+function appendPlatformSubRow(
+  entry,
+  platformLabel,
+  conformanceText,
+  remarksText,
+) {
+  const prefix = platformLabel ? `${platformLabel}: ` : "";
+
+  if (conformanceText) {
+    entry.conformanceLevel = [entry.conformanceLevel, prefix + conformanceText]
+      .filter(Boolean)
+      .join("\n");
+  }
+  if (remarksText) {
+    entry.remarks = [entry.remarks, prefix + remarksText]
+      .filter(Boolean)
+      .join("\n");
+  }
+}
+
+/**
+ * Returns the cell text if the whole cell is a product-type label (e.g. "Web")
+ * @param {string} text - Cell text
+ * @returns {string|null} The label or null
+ */
+function getPlatformLabel(text) {
+  const cleaned = stripStatementSeparators(
+    String(text || "").replace(/:$/, ""),
+  );
+  return cleaned && getPlatformKeyForLabel(cleaned) ? cleaned : null;
+}
+
+/**
+ * Finds the platform key for a product-type label
+ * @param {string} label - Label text (any case)
+ * @returns {string|null} Platform key from CONFIG.PLATFORM_LABELS or null
+ */
+function getPlatformKeyForLabel(label) {
+  const lower = String(label).replace(/\s+/g, " ").trim().toLowerCase();
+
+  for (const [platform, labels] of Object.entries(CONFIG.PLATFORM_LABELS)) {
+    if (labels.includes(lower)) {
+      return platform;
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds a regex matching "<label>:" for every product-type label
+ * Longer labels come first so "Closed Software:" wins over "Software:".
+ * @returns {RegExp} Global, case-insensitive pattern capturing the label
+ */
+function getPlatformLabelPattern() {
+  const labels = Object.values(CONFIG.PLATFORM_LABELS)
+    .reduce((all, list) => all.concat(list), [])
+    .sort((a, b) => b.length - a.length)
+    .map((label) => label.replace(/ /g, "\\s+"));
+
+  return new RegExp(`\\b(${labels.join("|")})\\s*:`, "gi");
+}
+
+/**
+ * Trims whitespace and list separators (/ ; , | bullets, dashes) around a statement
+ * @param {string} text - Statement text
+ * @returns {string} Trimmed text
+ */
+function stripStatementSeparators(text) {
+  return String(text || "")
+    .replace(/^[\s\/;,|•\-–—]+/, "")
+    .replace(/[\s\/;,|•\-–—.]+$/, "");
+}
+
+/*******************************************************
+ * "ALSO APPLIES TO" CROSS-REFERENCES
+ *******************************************************/
+
+/**
+ * Parses the "Also applies to" block of an INT-edition criteria cell, e.g.
+ * "Also applies to: EN 301 549 Criteria 9.1.1.1 (Web), 11.1.1.1.1 (Open Functionality
+ * Software) Revised Section 508: 501 (Web)(Software), 602.3 (Support Docs)"
+ * @param {string} criteriaText - Criteria cell text
+ * @returns {Object|null} { references: [{ standard, number, productTypes }], productTypes }
+ *   or null when the cell has no "Also applies to" block
+ */
+function parseAlsoAppliesTo(criteriaText) {
+  const match = String(criteriaText || "").match(
+    /also applies to:?([\s\S]*)$/i,
+  );
+  if (!match) return null;
+
+  const standards = CONFIG.CRITERIA_STANDARDS;
+  const text = match[1].replace(/\s+/g, " ");
+
+  // Standard labels split the block; numbers before any label are classified by
+  // shape. A label's edition and date ("V3.2.1 (2021-03)") are part of the label.
+  const labelPattern =
+    /en\s*301\s*549(?:\s*v\d+(?:\.\d+)+)?(?:\s*\([^)]*\))?(?:\s*criteria)?|(?:(?:revised\s+)?section|revised)\s+508(?:\s*\([^)]*\))?(?:\s*criteria)?/gi;
+  // Clause numbers each standard uses: EN clauses are dotted (9.1.1.1), 508
+  // sections have three digits (501, 602.3)
+  const numberShapes = {
+    [standards.EN_301_549]: /^\d+(?:\.\d+)+$/,
+    [standards.SECTION_508]: /^\d{3}(?:\.\d+)*$/,
+  };
+  const segments = [];
+  let standard = null;
+  let lastIndex = 0;
+  let label;
+  while ((label = labelPattern.exec(text))) {
+    segments.push({ standard, text: text.substring(lastIndex, label.index) });
+    standard = detectStandardInText(label[0]);
+    lastIndex = label.index + label[0].length;
+  }
+  segments.push({ standard, text: text.substring(lastIndex) });
+
+  const references = [];
+  const productTypes = [];
+  for (const segment of segments) {
+    const refPattern = /(?<![\w.-])(\d+(?:\.\d+)*)((?:\s*\([^)]*\))*)/g;
+    let ref;
+    while ((ref = refPattern.exec(segment.text))) {
+      const number = ref[1];
+      const refStandard =
+        segment.standard ||
+        classifyCriterionNumber(number) ||
+        (parseInt(number, 10) >= 100 ? standards.SECTION_508 : null);
+      if (!refStandard || refStandard === standards.WCAG) continue;
+      if (!numberShapes[refStandard].test(number)) continue;
+
+      const types = [];
+      for (const type of ref[2].matchAll(/\(([^)]*)\)/g)) {
+        const name = type[1].trim();
+        if (!name) continue;
+        types.push(name);
+        if (!productTypes.includes(name)) productTypes.push(name);
+      }
+      references.push({ standard: refStandard, number, productTypes: types });
+    }
+  }
+
+  return references.length > 0 ? { references, productTypes } : null;
+}
+
+/**
+ * Formats the references of one standard for a sheet cell
+ * @param {Object|null} crossReferences - Result of parseAlsoAppliesTo
+ * @param {string} standard - Standard code from CONFIG.CRITERIA_STANDARDS
+ * @returns {string} e.g. "9.1.1.1 (Web), 10.1.1.1 (Non-web document)"
+ */
+function formatCrossReferences(crossReferences, standard) {
+  if (!crossReferences) return "";
+  return crossReferences.references
+    .filter((ref) => ref.standard === standard)
+    .map((ref) =>
+      ref.productTypes.length > 0
+        ? `${ref.number} (${ref.productTypes.join(", ")})`
+        : ref.number,
+    )
+    .join(", ");
+}
+
+/**
+ * Fills sheet rows for EN 301 549 clauses and 508 sections that the document only
+ * reports through a WCAG criterion's "Also applies to" block. Criteria the document
+ * lists in their own tables are left alone.
+ * A clause referenced by one criterion takes that criterion's conformance and
+ * remarks. Shared clauses (e.g. 508 501 or EN 11.8.2, listed under most WCAG
+ * criteria) keep the worst conformance of all their sources and are flagged for
+ * review. The WCAG name and level are never copied.
+ * @param {Object[]} documentCriteria - Every criterion row from the document
+ * @param {Map<string, number>} criteriaMap - Map of criteria to row numbers
+ * @param {Object} vpatData - Row number -> entry (updated in place)
+ * @returns {Object[]} [{ key, fromKeys, rowNum }] for each row filled this way
+ */
+function fillFromCrossReferences(documentCriteria, criteriaMap, vpatData) {
+  const listedKeys = new Set(documentCriteria.map((entry) => entry.key));
+
+  // Step 1: Collect the source criteria of each referenced clause
+  const sources = new Map();
+  for (const entry of documentCriteria) {
+    if (!entry.crossReferences) continue;
+
+    for (const ref of entry.crossReferences.references) {
+      const key = `${ref.standard}:${ref.number}`;
+      if (listedKeys.has(key) || !criteriaMap.has(key)) continue;
+
+      if (!sources.has(key)) sources.set(key, []);
+      if (!sources.get(key).includes(entry)) sources.get(key).push(entry);
+    }
+  }
+
+  // Step 2: Fill each clause from its single source, or combine several
+  const filled = [];
+  for (const [key, entries] of sources) {
+    const rowNum = criteriaMap.get(key);
+    const fromKeys = entries.map((entry) => entry.key);
+    const source =
+      entries.length === 1 ? entries[0] : combineCrossReferenceSources(entries);
+
+    vpatData[rowNum] = Object.assign({}, source, {
+      key,
+      level: "",
+      details: null,
+      crossReferences: null,
+      crossReferenceFrom: fromKeys.join(", "),
+    });
+    filled.push({ key, fromKeys, rowNum });
+  }
+  return filled;
+}
+
+/**
+ * Merges the criteria that share one "Also applies to" clause into a single entry
+ * @param {Object[]} entries - Source criterion rows (two or more)
+ * @returns {Object} Entry with the worst conformance and every source's remarks
+ */
+function combineCrossReferenceSources(entries) {
+  const order = CONFIG.CROSS_REFERENCE.CONFORMANCE_ORDER;
+  const rank = (entry) => {
+    const index = order.indexOf(
+      normalizeConformanceValue(entry.conformanceLevel),
+    );
+    // Free-text conformance ranks as unknown and is left to interpretation
+    return index === -1 ? order.indexOf("Not Evaluated") : index;
+  };
+  const worst = entries.reduce((a, b) => (rank(b) < rank(a) ? b : a));
+
+  return {
+    tableNumber: worst.tableNumber,
+    conformanceLevel: worst.conformanceLevel,
+    remarks: entries
+      .filter((entry) => entry.remarks)
+      .map((entry) => `${entry.key}: ${entry.remarks}`)
+      .join("\n"),
+    originalCriteria: worst.originalCriteria,
+    level: "",
+    section: worst.section,
+    extractionNote: CONFIG.CROSS_REFERENCE.COMBINED_NOTE,
+    platformValues: null,
+  };
+}
+
+/*******************************************************
+ * TEXT LAYOUT FALLBACK
+ *******************************************************/
+
+/**
+ * Rebuilds VPAT rows from plain document text when the table structure is lost
+ * A criterion line starts a row; the first conformance term after it (or a run of
+ * product-type labeled lines) is the conformance level, and the text that follows
+ * up to the next criterion line is the remarks. Page numbers, repeated page
+ * headers/footers and repeated table header lines are dropped first, so a row
+ * split across a page break is joined back together.
+ * @param {string} text - Document body text
+ * @returns {Object|null} Table model ({ heading, rows, textLayout: true }) or null if no criteria were found
+ */
+function buildTextLayoutTable(text) {
+  const lines = getTextLayoutLines(text);
+  const rows = [
+    [
+      CONFIG.COLUMN_NAMES.CRITERIA,
+      "Conformance Level",
+      "Remarks and Explanations",
+    ],
+  ];
+
+  let block = null;
+  const finishBlock = () => {
+    if (block) rows.push(splitTextLayoutBlock(block));
+  };
+
+  for (const line of lines) {
+    if (isTextLayoutCriterionLine(line)) {
+      finishBlock();
+      block = [line];
+    } else if (
+      /^(table|chapter|clause)\s+\d+\b|^[1-4]\.\d{1,2}\s+[A-Z]/i.test(line)
+    ) {
+      // Table titles and WCAG guideline headings end the current criterion
+      finishBlock();
+      block = null;
+    } else if (block) {
+      block.push(line);
+    }
+  }
+  finishBlock();
+
+  Logger.log(`Text layout fallback rebuilt ${rows.length - 1} rows`);
+  if (rows.length === 1) return null;
+
+  return { heading: CONFIG.TEXT_LAYOUT.HEADING, rows, textLayout: true };
+}
+
+/**
+ * Splits document text into content lines without page furniture
+ * @param {string} text - Document body text
+ * @returns {string[]} Trimmed lines
+ */
+function getTextLayoutLines(text) {
+  const lines = String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+
+  // Count repeats to spot running headers and footers
+  const counts = new Map();
+  for (const line of lines) {
+    counts.set(line, (counts.get(line) || 0) + 1);
+  }
+
+  return lines.filter((line) => {
+    if (/^(page\s*)?\d+(\s*(of|\/)\s*\d+)?$/i.test(line)) return false;
+    if (isTextLayoutHeaderLine(line)) return false;
+    if (
+      counts.get(line) >= CONFIG.TEXT_LAYOUT.REPEATED_LINE_THRESHOLD &&
+      !isTextLayoutCriterionLine(line) &&
+      !findConformanceTerm(line)
+    ) {
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Checks whether a line starts a criterion (number with an unambiguous
+ * WCAG/508/EN shape, followed by its name)
+ * @param {string} line - Text line
+ * @returns {boolean} True for criterion lines
+ */
+function isTextLayoutCriterionLine(line) {
+  const key = normalizeCriteriaKey(line);
+  if (!key) return false;
+
+  // The number must lead the line, not appear inside remarks text
+  const number = key.split(":")[1];
+  const leading = line
+    .replace(/^\s*(?:(?:revised\s+)?section\s+508|en\s*301\s*549)\s*/i, "")
+    .trim();
+  return leading.startsWith(number) && classifyCriterionNumber(number) !== null;
+}
+
+/**
+ * Checks whether a line is only table header labels (repeated after page breaks)
+ * @param {string} line - Text line
+ * @returns {boolean} True for header lines
+ */
+function isTextLayoutHeaderLine(line) {
+  let remaining = line.toLowerCase();
+  for (const labels of Object.values(CONFIG.TABLE_HEADERS)) {
+    for (const label of labels) {
+      remaining = remaining.replace(new RegExp(`\\b${label}\\b`, "g"), " ");
+    }
+  }
+  return remaining !== line.toLowerCase() && !/[a-z0-9]/.test(remaining);
+}
+
+/**
+ * Splits the lines of one criterion into criteria, conformance and remarks text
+ * @param {string[]} block - Criterion line followed by its continuation lines
+ * @returns {string[]} [criteria, conformance, remarks]
+ */
+function splitTextLayoutBlock(block) {
+  const text = block.join("\n");
+
+  // Product-type labeled lines ("Web: Supports") form the conformance statement
+  const platformPattern = getPlatformLabelPattern();
+  const firstPlatformLine = block.findIndex(
+    (line, i) => i > 0 && line.search(platformPattern) === 0,
+  );
+  const term = findConformanceTerm(text);
+
+  if (
+    firstPlatformLine !== -1 &&
+    (!term || text.indexOf(block[firstPlatformLine]) <= term.index)
+  ) {
+    let end = firstPlatformLine;
+    while (
+      end < block.length &&
+      block[end].search(getPlatformLabelPattern()) === 0
+    ) {
+      end++;
+    }
+    return [
+      block.slice(0, firstPlatformLine).join("\n"),
+      block.slice(firstPlatformLine, end).join("\n"),
+      block.slice(end).join("\n"),
+    ];
+  }
+
+  if (!term) {
+    return [block[0], "", block.slice(1).join("\n")];
+  }
+
+  return [
+    text.substring(0, term.index).trim(),
+    term.value,
+    text
+      .substring(term.index + term.length)
+      .replace(/^[\s\/;,|•\-–—:]+/, "")
+      .trim(),
+  ];
+}
+
+/**
+ * Finds the first conformance term in text ("Partially Supports", "Not Applicable", ...)
+ * @param {string} text - Text to search
+ * @returns {Object|null} { index, length, value } with the normalized value, or null
+ */
+function findConformanceTerm(text) {
+  const terms = CONFIG.VALID_CONFORMANCE_VALUES.concat([
+    "Supports with Exceptions",
+    "Partially Supported",
+    "Not Supported",
+  ]).sort((a, b) => b.length - a.length);
+  const pattern = new RegExp(
+    `\\b(${terms.map((t) => t.replace(/ /g, "\\s+")).join("|")})\\b`,
+    "i",
+  );
+
+  const match = String(text).match(pattern);
+  if (!match) return null;
+
+  return {
+    index: match.index,
+    length: match[0].length,
+    value: normalizeConformanceValue(match[1].replace(/\s+/g, " ")),
+  };
+}
+
+/*******************************************************
+ * SHEET WRITING
+ *******************************************************/
+
+/**
+ * Writes extracted VPAT data to sheet
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The target sheet
+ * @param {Object} vpatData - Map of row numbers to VPAT data
+ * @param {Object} columnMap - Column index mapping
+ * @returns {Object} Processing results statistics
+ */
+function writeDataToSheet(sheet, vpatData, columnMap) {
+  let rowsUpdated = 0;
+
+  const sortedRows = Object.keys(vpatData)
+    .map((r) => parseInt(r, 10))
+    .sort((a, b) => a - b);
+
+  if (sortedRows.some((rowNum) => vpatData[rowNum].platformValues)) {
+    ensureOptionalColumns(sheet, columnMap, ["INTERPRETATION_SOURCE"]);
+  }
+  if (sortedRows.some((rowNum) => vpatData[rowNum].extractionNote)) {
+    ensureOptionalColumns(sheet, columnMap, ["EXTRACTION_NOTE"]);
+  }
+  if (sortedRows.some((rowNum) => vpatData[rowNum].details)) {
+    ensureOptionalColumns(sheet, columnMap, [
+      "WCAG_LEVEL",
+      "WCAG_VERSION",
+      "CRITERION_NAME",
+    ]);
+  }
+  if (sortedRows.some((rowNum) => vpatData[rowNum].crossReferences)) {
+    ensureOptionalColumns(sheet, columnMap, [
+      "ALSO_APPLIES_EN",
+      "ALSO_APPLIES_508",
+      "PRODUCT_TYPES",
+    ]);
+  }
+
+  Logger.log(`=== WRITE DATA TO SHEET DEBUG ===`);
+  Logger.log(`Total rows to write: ${sortedRows.length}`);
+  Logger.log(`vpatData keys: ${Object.keys(vpatData).join(", ")}`);
+  Logger.log(`Column map CONFORMANCE_LEVEL: ${columnMap.CONFORMANCE_LEVEL}`);
+  Logger.log(`Column map REMARKS: ${columnMap.REMARKS}`);
+
+  if (sortedRows.length === 0) {
+    return { totalRows: 0, rowsUpdated: 0, rowsFailed: 0 };
+  }
+
+  // Read the columns this step owns once, change them in memory, write them back in blocks
+  const grid = readSheetGrid(
+    sheet,
+    sortedRows[0],
+    sortedRows[sortedRows.length - 1],
+    [
+      columnMap.CONFORMANCE_LEVEL,
+      columnMap.REMARKS,
+      columnMap.EXTRACTION_NOTE,
+      columnMap.NEEDS_REVIEW,
+      columnMap.AI_COMMENT,
+      columnMap.INTERPRETATION_SOURCE,
+      columnMap.CRITERION_NAME,
+      columnMap.WCAG_LEVEL,
+      columnMap.WCAG_VERSION,
+      columnMap.ALSO_APPLIES_EN,
+      columnMap.ALSO_APPLIES_508,
+      columnMap.PRODUCT_TYPES,
+    ].concat(getInterpretedFields(columnMap).map((field) => field.col)),
+  );
+
+  for (const rowNum of sortedRows) {
+    try {
+      const data = vpatData[rowNum];
+      Logger.log(
+        `Writing row ${rowNum}: Conformance="${
+          data.conformanceLevel
+        }", Remarks="${data.remarks.substring(0, 50)}..."`,
+      );
+
+      // Write conformance level
+      setGridValue(
+        grid,
+        rowNum,
+        columnMap.CONFORMANCE_LEVEL,
+        data.conformanceLevel,
+      );
+
+      // Write remarks
+      setGridValue(grid, rowNum, columnMap.REMARKS, data.remarks);
+
+      // Rows rebuilt without table structure are flagged for a manual check
+      if (columnMap.EXTRACTION_NOTE) {
+        setGridValue(
+          grid,
+          rowNum,
+          columnMap.EXTRACTION_NOTE,
+          data.extractionNote || "",
+        );
+      }
+      if (data.extractionNote) {
+        setGridValue(grid, rowNum, columnMap.NEEDS_REVIEW, true);
+      }
+
+      if (data.details) {
+        writeCriterionDetails(grid, columnMap, rowNum, data.details);
+      }
+
+      // "Also applies to" references, so EN 301 549 and 508 conformance can be
+      // reported from a WCAG-only table
+      if (columnMap.ALSO_APPLIES_EN) {
+        writeCrossReferenceColumns(grid, columnMap, rowNum, data);
+      }
+
+      // Platform values stated in the document go straight to the interpreted
+      // columns; other rows are cleared for AI interpretation
+      if (data.platformValues) {
+        writePlatformValues(grid, columnMap, rowNum, data);
+      } else if (columnMap.INTERPRETATION_SOURCE) {
+        setGridValue(grid, rowNum, columnMap.INTERPRETATION_SOURCE, "");
+      }
+
+      rowsUpdated++;
+      Logger.log(`Successfully wrote row ${rowNum}`);
+    } catch (error) {
+      Logger.log(`Error writing data to row ${rowNum}: ${error.message}`);
+      Logger.log(`Error stack: ${error.stack}`);
+    }
+  }
+
+  writeSheetGrid(grid);
+
+  Logger.log(`=== WRITE COMPLETE: ${rowsUpdated} rows updated ===`);
+
+  return {
+    totalRows: sortedRows.length,
+    rowsUpdated: rowsUpdated,
+    rowsFailed: sortedRows.length - rowsUpdated,
+  };
+}
+
+/**
+ * Writes the derived criterion name, level and WCAG version of a row
+ * Values the document doesn't state are left as they are, so manual tags survive
+ * @param {Object} grid - Sheet grid from readSheetGrid
+ * @param {Object} columnMap - Column index mapping
+ * @param {number} rowNum - Sheet row number
+ * @param {Object} details - Result of parseCriterionDetails
+ */
+function writeCriterionDetails(grid, columnMap, rowNum, details) {
+  const values = {
+    CRITERION_NAME: details.name,
+    WCAG_LEVEL: details.level,
+    WCAG_VERSION: details.wcagVersion,
+  };
+
+  for (const [key, value] of Object.entries(values)) {
+    if (columnMap[key] && value) {
+      setGridValue(grid, rowNum, columnMap[key], value);
+    }
+  }
+}
+
+/**
+ * Writes the "Also applies to" columns of a row (cleared when the criterion has none)
+ * @param {Object} grid - Sheet grid from readSheetGrid
+ * @param {Object} columnMap - Column index mapping
+ * @param {number} rowNum - Sheet row number
+ * @param {Object} data - Extracted row data with crossReferences
+ */
+function writeCrossReferenceColumns(grid, columnMap, rowNum, data) {
+  const standards = CONFIG.CRITERIA_STANDARDS;
+  const refs = data.crossReferences;
+  const values = {
+    ALSO_APPLIES_EN: formatCrossReferences(refs, standards.EN_301_549),
+    ALSO_APPLIES_508: formatCrossReferences(refs, standards.SECTION_508),
+    PRODUCT_TYPES: refs ? refs.productTypes.join(", ") : "",
+  };
+
+  for (const [key, value] of Object.entries(values)) {
+    if (columnMap[key]) {
+      setGridValue(grid, rowNum, columnMap[key], value);
+    }
+  }
+}
+
+/**
+ * Appends a row for each document criterion the sheet doesn't have, in document order
+ * Adds the new rows to criteriaMap and extraction.data so they are written like matched rows.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The target sheet
+ * @param {Object} columnMap - Column index mapping
+ * @param {Object} extraction - Result of extractVPATData (data is updated in place)
+ * @param {Map<string, number>} criteriaMap - Map of criteria to row numbers (updated in place)
+ * @returns {Object[]} Document entries that were added as new rows
+ */
+function appendMissingCriteria(sheet, columnMap, extraction, criteriaMap) {
+  const added = [];
+  const firstNewRow = sheet.getLastRow() + 1;
+
+  for (const entry of extraction.documentCriteria) {
+    if (!criteriaMap.has(entry.key)) {
+      criteriaMap.set(entry.key, firstNewRow + added.length);
+      added.push(entry);
+    }
+  }
+
+  if (added.length === 0) {
+    return added;
+  }
+
+  ensureOptionalColumns(sheet, columnMap, ["SECTION"]);
+
+  sheet
+    .getRange(firstNewRow, columnMap.CRITERIA, added.length, 1)
+    .setValues(
+      added.map((entry) => [getCriterionTitle(entry.originalCriteria)]),
+    );
+  sheet
+    .getRange(firstNewRow, columnMap.SECTION, added.length, 1)
+    .setValues(added.map((entry) => [entry.section]));
+
+  // Later occurrences of a criterion win, same as for rows already in the sheet
+  for (const entry of extraction.documentCriteria) {
+    const rowNum = criteriaMap.get(entry.key);
+    if (rowNum >= firstNewRow) {
+      extraction.data[rowNum] = entry;
+    }
+  }
+
+  Logger.log(
+    `Appended ${added.length} criteria rows starting at row ${firstNewRow}`,
+  );
+  return added;
+}
+
+/**
+ * Returns the criterion number and name from a criteria cell, on one line,
+ * without any "Also applies to" cross-reference text
+ * @param {string} criteriaText - Criteria cell text
+ * @returns {string} Criterion title (e.g. "1.4.3 Contrast (Minimum) (Level AA)")
+ */
+function getCriterionTitle(criteriaText) {
+  return String(criteriaText || "")
+    .split(/also applies to/i)[0]
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Writes platform values taken directly from the document to the interpreted columns
+ * @param {Object} grid - Sheet grid from readSheetGrid
+ * @param {Object} columnMap - Column index mapping
+ * @param {number} rowNum - Sheet row number
+ * @param {Object} data - Extracted row data with platformValues (platform key -> value)
+ */
+function writePlatformValues(grid, columnMap, rowNum, data) {
+  const platformValues = data.platformValues;
+  const values = Object.assign(
+    { conformanceLevel: summarizePlatformConformance(platformValues) },
+    platformValues,
+  );
+
+  for (const field of getInterpretedFields(columnMap)) {
+    setGridValue(grid, rowNum, field.col, values[field.key]);
+  }
+
+  setGridValue(grid, rowNum, columnMap.AI_COMMENT, "");
+  setGridValue(
+    grid,
+    rowNum,
+    columnMap.NEEDS_REVIEW,
+    Boolean(data.extractionNote),
+  );
+  setGridValue(
+    grid,
+    rowNum,
+    columnMap.INTERPRETATION_SOURCE,
+    CONFIG.INTERPRETATION_SOURCES.DOCUMENT,
+  );
+
+  Logger.log(
+    `Row ${rowNum}: platform values taken from document (${JSON.stringify(platformValues)})`,
+  );
+}
+
+/*******************************************************
+ * EXTRACTION RECONCILIATION REPORT
+ *******************************************************/
+
+/**
+ * Compares criteria found in the document with the sheet's criteria
+ * @param {Object} extraction - Result of extractVPATData
+ * @param {Map<string, number>} criteriaMap - Map of criteria to row numbers
+ * @param {Map<string, number>} [sheetCriteriaMap] - Every criterion in the sheet,
+ *   when criteriaMap only covers the selected rows (defaults to criteriaMap)
+ * @returns {Object} Report with missingFromSheet, outsideSelectedRows,
+ *   notInDocument and duplicates lists
+ */
+function buildReconciliationReport(extraction, criteriaMap, sheetCriteriaMap) {
+  const allSheetCriteria = sheetCriteriaMap || criteriaMap;
+
+  // Group document rows by criteria key, keeping document order
+  const occurrences = new Map();
+  for (const entry of extraction.documentCriteria) {
+    if (!occurrences.has(entry.key)) {
+      occurrences.set(entry.key, []);
+    }
+    occurrences.get(entry.key).push(entry);
+  }
+
+  const missingFromSheet = [];
+  const outsideSelectedRows = [];
+  const duplicates = [];
+  for (const [key, entries] of occurrences) {
+    if (allSheetCriteria.has(key) && !criteriaMap.has(key)) {
+      // In the sheet, just not in the row range this run was given
+      outsideSelectedRows.push({
+        entry: entries[0],
+        rowNum: allSheetCriteria.get(key),
+      });
+    } else if (!criteriaMap.has(key)) {
+      missingFromSheet.push(entries[0]);
+    }
+    if (entries.length > 1) {
+      const values = new Set(entries.map((e) => e.conformanceLevel.trim()));
+      duplicates.push({ key, entries, conflicting: values.size > 1 });
+    }
+  }
+
+  // Rows filled through another criterion's "Also applies to" block were found
+  const crossReferenced = extraction.crossReferenced || [];
+  const crossReferencedKeys = new Set(crossReferenced.map((item) => item.key));
+
+  const notInDocument = [];
+  for (const [key, rowNum] of criteriaMap) {
+    if (!occurrences.has(key) && !crossReferencedKeys.has(key)) {
+      notInDocument.push({ key, rowNum });
+    }
+  }
+
+  Logger.log(
+    `Reconciliation: ${missingFromSheet.length} missing from sheet, ${outsideSelectedRows.length} outside selected rows, ${notInDocument.length} not in document, ${duplicates.length} duplicates`,
+  );
+
+  return {
+    sheetCriteria: criteriaMap.size,
+    matchedCriteria: criteriaMap.size - notInDocument.length,
+    documentCriteria: occurrences.size,
+    missingFromSheet,
+    outsideSelectedRows,
+    notInDocument,
+    duplicates,
+    crossReferenced,
+  };
+}
+
+/**
+ * Writes the reconciliation report to its own sheet (replacing the previous run)
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet
+ * @param {Object} report - Result of buildReconciliationReport
+ * @param {Map<string, number>} criteriaMap - Map of criteria to row numbers
+ * @param {string} fileId - Source document file ID
+ */
+function writeReconciliationReport(spreadsheet, report, criteriaMap, fileId) {
+  const sheetName = CONFIG.RECONCILIATION_SHEET_NAME;
+  const sheet =
+    spreadsheet.getSheetByName(sheetName) || spreadsheet.insertSheet(sheetName);
+  sheet.clear();
+
+  const header = [
+    "Category",
+    "Criteria Key",
+    "Criteria (document)",
+    "Sheet Row",
+    "Table",
+    "Conformance (document)",
+  ];
+  const rows = [
+    ["Document", fileId],
+    ["Generated", new Date()],
+    [
+      "Sheet criteria matched",
+      `${report.matchedCriteria} of ${report.sheetCriteria}`,
+    ],
+    ["Document criteria found", report.documentCriteria],
+    [
+      "Completeness checked against",
+      report.completeness ? report.completeness.claimed.description : "",
+    ],
+    [],
+    header,
+  ];
+  const summaryRows = rows.length;
+
+  for (const entry of report.addedToSheet || []) {
+    rows.push([
+      "Added to sheet",
+      entry.key,
+      entry.originalCriteria,
+      criteriaMap.get(entry.key),
+      entry.tableNumber,
+      entry.conformanceLevel,
+    ]);
+  }
+
+  for (const entry of report.missingFromSheet) {
+    rows.push([
+      "Missing from sheet",
+      entry.key,
+      entry.originalCriteria,
+      "",
+      entry.tableNumber,
+      entry.conformanceLevel,
+    ]);
+  }
+
+  for (const item of report.outsideSelectedRows || []) {
+    rows.push([
+      "Outside selected rows",
+      item.entry.key,
+      item.entry.originalCriteria,
+      item.rowNum,
+      item.entry.tableNumber,
+      item.entry.conformanceLevel,
+    ]);
+  }
+
+  for (const item of report.crossReferenced || []) {
+    rows.push([
+      'Filled from "Also applies to"',
+      item.key,
+      `Listed under ${item.fromKeys.join(", ")}`,
+      item.rowNum,
+      "",
+      "",
+    ]);
+  }
+
+  for (const item of report.notInDocument) {
+    rows.push(["Not found in document", item.key, "", item.rowNum, "", ""]);
+  }
+
+  const completeness = report.completeness || {
+    missing: [],
+    deprecated: [],
+    extra: [],
+  };
+  for (const code of completeness.claimed
+    ? completeness.claimed.missingStandards
+    : []) {
+    rows.push([
+      "Missing report section (expected by VPAT edition)",
+      code,
+      "No criteria for this standard found in the document",
+      "",
+      "",
+      "",
+    ]);
+  }
+  for (const item of completeness.missing) {
+    rows.push([
+      "Missing from document (claimed standard)",
+      item.key,
+      item.name,
+      criteriaMap.get(item.key) || "",
+      "",
+      "",
+    ]);
+  }
+  for (const item of completeness.deprecated) {
+    rows.push([
+      `Deprecated (removed in WCAG ${item.removedIn})`,
+      item.entry.key,
+      item.entry.originalCriteria,
+      criteriaMap.get(item.entry.key) || "",
+      item.entry.tableNumber,
+      item.entry.conformanceLevel,
+    ]);
+  }
+  for (const entry of completeness.extra) {
+    rows.push([
+      "Not in claimed standard",
+      entry.key,
+      entry.originalCriteria,
+      criteriaMap.get(entry.key) || "",
+      entry.tableNumber,
+      entry.conformanceLevel,
+    ]);
+  }
+
+  for (const duplicate of report.duplicates) {
+    const category = duplicate.conflicting
+      ? "Duplicate (conflicting values)"
+      : "Duplicate (same value)";
+    for (const entry of duplicate.entries) {
+      rows.push([
+        category,
+        duplicate.key,
+        entry.originalCriteria,
+        criteriaMap.get(duplicate.key) || "",
+        entry.tableNumber,
+        entry.conformanceLevel,
+      ]);
+    }
+  }
+
+  // Pad every row to the same width for a single setValues call
+  const values = rows.map((row) =>
+    header.map((_, i) => (row[i] === undefined ? "" : row[i])),
+  );
+  sheet.getRange(1, 1, values.length, header.length).setValues(values);
+  sheet.getRange(1, 1, summaryRows - 2, 1).setFontWeight("bold");
+  sheet.getRange(summaryRows, 1, 1, header.length).setFontWeight("bold");
+  sheet.setFrozenRows(summaryRows);
+
+  Logger.log(`Wrote ${values.length - summaryRows} rows to "${sheetName}"`);
+}
+
+/*******************************************************
+ * CRITERIA COMPLETENESS CHECK
+ *******************************************************/
+
+/**
+ * Builds the criteria catalog from CRITERIA_CATALOG, including the EN 301 549
+ * clauses 9 (web), 10 (documents) and 11.1-11.4 (software) that mirror WCAG
+ * @returns {Map<string, Object>} Criteria key -> { key, standard, number, name,
+ *   level, version, removedIn, optional }
+ */
+function getCriteriaCatalog() {
+  const standards = CONFIG.CRITERIA_STANDARDS;
+  const catalog = new Map();
+  const add = (standard, number, fields) => {
+    const key = `${standard}:${number}`;
+    catalog.set(
+      key,
+      Object.assign(
+        {
+          key,
+          standard,
+          number,
+          name: "",
+          level: "",
+          version: "",
+          optional: CRITERIA_CATALOG.SCOPE_SECTIONS.includes(key),
+        },
+        fields,
+      ),
+    );
+  };
+
+  const wcag = CRITERIA_CATALOG.WCAG.map((line) => line.split("|"));
+  for (const [number, level, version, name, removedIn] of wcag) {
+    add(standards.WCAG, number, { name, level, version, removedIn });
+  }
+  for (const line of CRITERIA_CATALOG.SECTION_508) {
+    const [number, name] = line.split("|");
+    add(standards.SECTION_508, number, { name });
+  }
+  for (const line of CRITERIA_CATALOG.EN_301_549) {
+    const [number, name] = line.split("|");
+    add(standards.EN_301_549, number, { name });
+  }
+
+  // EN 301 549 requires the Level A and AA criteria of the WCAG version it mirrors
+  for (const [number, level, version, name] of wcag) {
+    if (level === "AAA" || version > CRITERIA_CATALOG.EN_WCAG_VERSION) continue;
+    for (const clause of ["9", "10", "11"]) {
+      const enNumber = `${clause}.${number}`;
+      add(standards.EN_301_549, enNumber, {
+        name,
+        optional: CRITERIA_CATALOG.EN_VOID_CLAUSES.includes(enNumber),
+      });
+    }
+  }
+
+  return catalog;
+}
+
+/**
+ * Works out which standards the VPAT claims to report on
+ * WCAG version and level come from the Applicable Standards/Guidelines table
+ * (falling back to the WCAG versions named in the text); the VPAT edition decides
+ * whether 508 and EN 301 549 are expected (without one, they are checked when the
+ * document has criteria for them).
+ * @param {Object} documentData - { tables, text } from loadDocument
+ * @param {Object} extraction - Result of extractVPATData
+ * @param {Object} reportInfo - Result of extractReportInfo
+ * @returns {Object} { wcagVersion, wcagLevel, standards: string[], missingStandards:
+ *   string[], description }
+ */
+function getClaimedStandards(documentData, extraction, reportInfo) {
+  const versionPattern =
+    /(?:wcag|web content accessibility guidelines)\s*(2\.\d)/gi;
+  const highestVersion = (text) => {
+    let highest = "";
+    for (const match of String(text).matchAll(versionPattern)) {
+      if (match[1] > highest) highest = match[1];
+    }
+    return highest;
+  };
+
+  let wcagVersion = "";
+  let wcagLevel = "AA";
+  for (const [standard, included] of reportInfo.standards) {
+    const version = highestVersion(standard);
+    if (!version || version < wcagVersion) continue;
+    wcagVersion = version;
+
+    // "Level A (Yes) Level AA (Yes) Level AAA (No)"
+    const levels = ["AAA", "AA", "A"].filter((level) =>
+      new RegExp(`level\\s*${level}\\s*\\(?\\s*yes`, "i").test(included),
+    );
+    if (levels.length > 0) wcagLevel = levels[0];
+  }
+  wcagVersion = wcagVersion || highestVersion(documentData.text) || "2.0";
+
+  // The edition says which standards the report must cover; without one,
+  // check the standards the document has criteria for
+  const edition = reportInfo.edition;
+  const documentStandards = new Set();
+  for (const entry of extraction.documentCriteria) {
+    documentStandards.add(entry.key.split(":")[0]);
+    for (const ref of entry.crossReferences
+      ? entry.crossReferences.references
+      : []) {
+      documentStandards.add(ref.standard);
+    }
+  }
+  const standards = Object.values(CONFIG.CRITERIA_STANDARDS).filter((code) =>
+    edition && edition.standards
+      ? edition.standards.includes(code)
+      : documentStandards.has(code),
+  );
+
+  const names = standards.map((code) =>
+    code === CONFIG.CRITERIA_STANDARDS.WCAG
+      ? `WCAG ${wcagVersion} ${wcagLevel}`
+      : code === CONFIG.CRITERIA_STANDARDS.EN_301_549
+        ? "EN 301 549"
+        : "Section 508",
+  );
+  const description = names.join(", ") || "no recognized standard";
+  return {
+    wcagVersion,
+    wcagLevel,
+    standards,
+    // Claimed standards the document has no criteria for at all
+    missingStandards: standards.filter((code) => !documentStandards.has(code)),
+    description:
+      edition && edition.code
+        ? `${edition.label}: ${description}`
+        : description,
+  };
+}
+
+/**
+ * Compares the document's criteria with the catalog for the claimed standards
+ * A 508 section or EN clause counts as reported when the document lists it or
+ * any of its sub-clauses ("402" by "402.2.1", "11.1.1.1" by "11.1.1.1.1"); a bare
+ * parent row such as EN "5.1" doesn't cover the clauses under it. Criteria
+ * reported through an "Also applies to" block count as present. Hardware
+ * chapters are only expected when the document reports a criterion in them.
+ * @param {Object} extraction - Result of extractVPATData
+ * @param {Object} claimed - Result of getClaimedStandards
+ * @returns {Object} { claimed, missing: [{ key, name }], deprecated: [{ entry, removedIn }],
+ *   extra: [entry] }
+ */
+function checkCriteriaCompleteness(extraction, claimed) {
+  const catalog = getCriteriaCatalog();
+  const levelRank = { A: 1, AA: 2, AAA: 3 };
+  const wcag = CONFIG.CRITERIA_STANDARDS.WCAG;
+
+  const documentKeys = new Set();
+  const documentEntries = new Map(); // First occurrence of each key
+  for (const entry of extraction.documentCriteria) {
+    documentKeys.add(entry.key);
+    if (!documentEntries.has(entry.key)) documentEntries.set(entry.key, entry);
+    for (const ref of entry.crossReferences
+      ? entry.crossReferences.references
+      : []) {
+      documentKeys.add(`${ref.standard}:${ref.number}`);
+    }
+  }
+
+  // Same standard, and the other number is this one or a sub-clause of it
+  const reportedBy = (key, other) =>
+    key === other || other.startsWith(`${key}.`);
+  const isReported = (key, keys) => {
+    for (const other of keys) {
+      if (reportedBy(key, other)) return true;
+    }
+    return false;
+  };
+  // Known when a catalog entry is the key, a sub-clause or a parent of it
+  const isKnown = (key, keys) => {
+    for (const other of keys) {
+      if (reportedBy(key, other) || reportedBy(other, key)) return true;
+    }
+    return false;
+  };
+  const catalogKeys = Array.from(catalog.keys());
+  const inHardwareChapter = (key) => {
+    const [standard, number] = key.split(":");
+    const chapter = CRITERIA_CATALOG.HARDWARE_CHAPTERS[standard];
+    return Boolean(chapter) && number.split(".")[0].startsWith(chapter);
+  };
+  const hardwareStandards = new Set(
+    Array.from(documentKeys)
+      .filter(inHardwareChapter)
+      .map((key) => key.split(":")[0]),
+  );
+
+  const missing = [];
+  for (const item of catalog.values()) {
+    if (!claimed.standards.includes(item.standard) || item.optional) continue;
+    if (inHardwareChapter(item.key) && !hardwareStandards.has(item.standard)) {
+      continue;
+    }
+    if (item.standard === wcag) {
+      if (item.version > claimed.wcagVersion) continue;
+      if (item.removedIn && item.removedIn <= claimed.wcagVersion) continue;
+      if (levelRank[item.level] > levelRank[claimed.wcagLevel]) continue;
+      if (!documentKeys.has(item.key)) missing.push(item);
+    } else if (!isReported(item.key, documentKeys)) {
+      missing.push(item);
+    }
+  }
+
+  const deprecated = [];
+  const extra = [];
+  for (const [key, entry] of documentEntries) {
+    const item = catalog.get(key);
+    if (!claimed.standards.includes(key.split(":")[0])) continue;
+    if (key.startsWith(`${wcag}:`)) {
+      if (item && item.removedIn && item.removedIn <= claimed.wcagVersion) {
+        deprecated.push({ entry, removedIn: item.removedIn });
+      } else if (!item || item.version > claimed.wcagVersion) {
+        extra.push(entry);
+      }
+    } else if (!isKnown(key, catalogKeys)) {
+      extra.push(entry);
+    }
+  }
+
+  Logger.log(
+    `Completeness (${claimed.description}): ${missing.length} missing, ${deprecated.length} deprecated, ${extra.length} not in claimed standard`,
+  );
+  return {
+    claimed,
+    missing: missing.map((item) => ({ key: item.key, name: item.name })),
+    deprecated,
+    extra,
+  };
+}
+
+/*******************************************************
+ * REPORT INFO (VPAT FRONT MATTER)
+ *******************************************************/
+
+/**
+ * Reads the VPAT front matter (product, report date, template version, contact,
+ * evaluation methods, notes, legal disclaimer) and the applicable standards table
+ * @param {Object} documentData - { tables, text } from loadDocument
+ * @param {Object} [edition] - From detectVpatEdition (detected here when omitted)
+ * @returns {Object} { fields: { [field name]: value }, templateVersion, standards: [[standard, included]] }
+ */
+function extractReportInfo(documentData, edition) {
+  const settings = CONFIG.REPORT_INFO;
+  const fields = {};
+  let currentField = null;
+  let frontMatterEnded = false;
+
+  for (const rawLine of documentData.text.split("\n")) {
+    // Label/value table rows arrive as tab-separated cells
+    const line = rawLine.replace(/\s*\t\s*/g, "\t").trim();
+    if (!line) {
+      if (currentField) fields[currentField].push("");
+      continue;
+    }
+
+    const plain = line.replace(/\t/g, " ");
+    if (settings.FRONT_MATTER_END.test(plain)) {
+      frontMatterEnded = true;
+      currentField = null;
+      continue;
+    }
+    if (plain.toLowerCase().startsWith(settings.STANDARDS_HEADING)) {
+      currentField = null;
+      continue;
+    }
+
+    const labeled = matchReportInfoLabel(line);
+    // Only the legal disclaimer follows the conformance tables
+    if (
+      labeled &&
+      !fields[labeled.field] &&
+      (!frontMatterEnded || labeled.field === "Legal Disclaimer")
+    ) {
+      currentField = labeled.field;
+      fields[currentField] = labeled.value ? [labeled.value] : [];
+    } else if (currentField) {
+      fields[currentField].push(plain);
+    }
+  }
+
+  const values = {};
+  for (const field of Object.keys(settings.FIELDS)) {
+    values[field] = (fields[field] || [])
+      .join("\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+  }
+
+  // "Name of Product/Version" usually ends with the version number
+  const versionMatch = values["Product Name/Version"].match(
+    /(?:\bv(?:ersion)?\.?\s*)?(\d+(?:\.\d+)+[\w.-]*)\s*$/i,
+  );
+  if (!values["Product Version"] && versionMatch) {
+    values["Product Version"] = versionMatch[1];
+  }
+
+  edition = edition || detectVpatEdition(documentData);
+  const info = {
+    fields: values,
+    edition,
+    templateVersion: edition.revision,
+    standards: findApplicableStandards(documentData.tables),
+  };
+  Logger.log(
+    `Report info: ${Object.keys(values).filter((f) => values[f]).length} fields, ${info.standards.length} standards, template version "${info.templateVersion}"`,
+  );
+  return info;
+}
+
+/**
+ * Identifies the VPAT 2.x edition (WCAG, 508, EU or INT) and template revision
+ * The title block ("Accessibility Conformance Report International Edition",
+ * "Based on VPAT® Version 2.4 Rev") is checked first; without an edition name the
+ * report section headings decide ("Revised Section 508 Report" and "EN 301 549
+ * Report" together mean INT).
+ * @param {Object} documentData - { tables, text } from loadDocument
+ * @returns {Object} { code, label, revision, standards, source } where code is a
+ *   CONFIG.VPAT_EDITIONS key, or "" (with standards null) when nothing identifies it
+ */
+function detectVpatEdition(documentData) {
+  const editions = CONFIG.VPAT_EDITIONS;
+  const lines = documentData.text.split("\n");
+  const titleBlock = lines.slice(0, CONFIG.TITLE_BLOCK_LINES).join("\n");
+
+  const revisionMatch = documentData.text.match(
+    /VPAT\W{0,3}\s*Version\s*(\d+(?:\.\d+)*(?:\s*Rev\b\.?)?)/i,
+  );
+  const revision = revisionMatch ? revisionMatch[1].trim() : "";
+
+  let code = Object.keys(editions).find((key) =>
+    editions[key].pattern.test(titleBlock),
+  );
+  let source = "title block";
+
+  if (!code) {
+    // Report section headings: "WCAG 2.x Report", "Revised Section 508 Report"...
+    const headings = documentData.tables
+      .map((table) => table.heading)
+      .concat(lines.filter((line) => /\breport\b/i.test(line)))
+      .filter((text) =>
+        /(wcag 2\.x|section 508|en 301 549)\s+report/i.test(text),
+      );
+    const found = new Set(headings.map((text) => detectStandardInText(text)));
+    const standards = CONFIG.CRITERIA_STANDARDS;
+
+    if (found.has(standards.SECTION_508) && found.has(standards.EN_301_549)) {
+      code = "INT";
+    } else if (found.has(standards.EN_301_549)) {
+      code = "EU";
+    } else if (found.has(standards.SECTION_508)) {
+      code = "SECTION_508";
+    } else if (found.has(standards.WCAG)) {
+      code = "WCAG";
+    }
+    source = "report section headings";
+  }
+
+  if (!code) {
+    Logger.log(`VPAT edition not identified (revision "${revision}")`);
+    return { code: "", label: "", revision, standards: null, source: "" };
+  }
+
+  Logger.log(
+    `VPAT edition: ${editions[code].label} (revision "${revision}", from ${source})`,
+  );
+  return {
+    code,
+    label: editions[code].label,
+    revision,
+    standards: editions[code].standards,
+    source,
+  };
+}
+
+/**
+ * Checks whether a line starts with one of the report info labels
+ * @param {string} line - Document line (table cells separated by tabs)
+ * @returns {Object|null} { field, value } or null
+ */
+function matchReportInfoLabel(line) {
+  const lower = line.toLowerCase();
+
+  for (const [field, labels] of Object.entries(CONFIG.REPORT_INFO.FIELDS)) {
+    for (const label of labels) {
+      if (!lower.startsWith(label)) continue;
+
+      // Allow "Legal Disclaimer (Company)" and "Contact Information:"
+      const rest = line.substring(label.length).replace(/^\s*\([^)]*\)/, "");
+      const separator = rest.match(/^\s*([:\t]|$)/);
+      if (!separator) continue;
+
+      return {
+        field,
+        value: rest.substring(separator[0].length).replace(/\t/g, " ").trim(),
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds the "Applicable Standards/Guidelines" table
+ * (columns "Standard/Guideline" and "Included In Report")
+ * @param {Array<Object>} tables - Table models from loadDocument
+ * @returns {Array<string[]>} [standard, included] pairs, empty if not found
+ */
+function findApplicableStandards(tables) {
+  for (const table of tables) {
+    const headerIndex = table.rows.findIndex((cells) =>
+      cells.some((cell) => /^standard\s*\/?\s*guideline/i.test(cell)),
+    );
+    if (headerIndex === -1) continue;
+
+    const header = table.rows[headerIndex];
+    const standardCol = header.findIndex((cell) =>
+      /^standard\s*\/?\s*guideline/i.test(cell),
+    );
+    let includedCol = header.findIndex((cell) => /included/i.test(cell));
+    if (includedCol === -1) includedCol = standardCol + 1;
+
+    return table.rows
+      .slice(headerIndex + 1)
+      .map((cells) => [
+        getGridCell(cells, standardCol),
+        getGridCell(cells, includedCol).replace(/\s+/g, " "),
+      ])
+      .filter((pair) => pair[0]);
+  }
+  return [];
+}
+
+/**
+ * Writes the report info to its own sheet (replacing the previous run)
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet
+ * @param {Object} info - Result of extractReportInfo
+ * @param {string} fileId - Source document file ID
+ */
+function writeReportInfo(spreadsheet, info, fileId) {
+  const sheetName = CONFIG.REPORT_INFO.SHEET_NAME;
+  const sheet =
+    spreadsheet.getSheetByName(sheetName) || spreadsheet.insertSheet(sheetName);
+  sheet.clear();
+
+  const rows = [
+    ["Field", "Value"],
+    ["Document", fileId],
+    ["Extracted", new Date()],
+    ["VPAT Edition", info.edition.label],
+    ["VPAT Template Version", info.templateVersion],
+  ];
+  for (const [field, value] of Object.entries(info.fields)) {
+    rows.push([field, value]);
+  }
+  const fieldRows = rows.length;
+
+  rows.push([], ["Applicable Standards/Guidelines", "Included In Report"]);
+  for (const pair of info.standards) {
+    rows.push(pair);
+  }
+  if (info.standards.length === 0) {
+    rows.push(["(not found in document)", ""]);
+  }
+
+  const values = rows.map((row) => [
+    row[0] === undefined ? "" : row[0],
+    row[1] === undefined ? "" : row[1],
+  ]);
+  sheet.getRange(1, 1, values.length, 2).setValues(values);
+  sheet.getRange(1, 1, 1, 2).setFontWeight("bold");
+  sheet.getRange(fieldRows + 2, 1, 1, 2).setFontWeight("bold");
+  sheet.getRange(1, 1, values.length, 1).setFontWeight("bold");
+  sheet.getRange(1, 2, values.length, 1).setWrap(true);
+  sheet.setFrozenRows(1);
+
+  const missing = Object.keys(info.fields).filter((f) => !info.fields[f]);
+  if (missing.length > 0) {
+    Logger.log(`Report info not found in document: ${missing.join(", ")}`);
+  }
+}
+
+/*******************************************************
+ * UTILITY FUNCTIONS
+ *******************************************************/
+
+/**
+ * Reads columns of a row range into memory in one getValues per block of
+ * adjacent columns. Steps change cells with setGridValue and write them back
+ * with writeSheetGrid, which only touches the grid's columns and changed rows.
+ * Formulas are read as well, so cells the step didn't change keep them.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet
+ * @param {number} startRow - First row number
+ * @param {number} endRow - Last row number
+ * @param {Array<number|undefined>} columns - Column indexes the step reads or owns
+ *   (unmapped optional columns are ignored)
+ * @returns {Object} Grid { sheet, startRow, columns, values, formulas,
+ *   changedRows, changedCells }
+ */
+function readSheetGrid(sheet, startRow, endRow, columns) {
+  const uniqueColumns = Array.from(new Set(columns.filter(Boolean))).sort(
+    (a, b) => a - b,
+  );
+  const numRows = Math.max(endRow - startRow + 1, 0);
+  const values = [];
+  const formulas = [];
+  for (let i = 0; i < numRows; i++) {
+    values.push({});
+    formulas.push({});
+  }
+
+  for (const run of getConsecutiveRuns(uniqueColumns)) {
+    if (numRows === 0) break;
+    const range = sheet.getRange(startRow, run[0], numRows, run.length);
+    const block = range.getValues();
+    const formulaBlock = range.getFormulas();
+    block.forEach((rowValues, i) =>
+      run.forEach((col, j) => {
+        values[i][col] = rowValues[j];
+        if (formulaBlock[i][j]) formulas[i][col] = formulaBlock[i][j];
+      }),
+    );
+  }
+
+  return {
+    sheet,
+    startRow,
+    columns: uniqueColumns,
+    values,
+    formulas,
+    changedRows: new Set(),
+    changedCells: new Set(), // "row:col" of every cell set with setGridValue
+  };
+}
+
+/**
+ * Gets a cell value from a sheet grid
+ * @param {Object} grid - Sheet grid from readSheetGrid
+ * @param {number} rowNum - Sheet row number
+ * @param {number} col - Column index
+ * @returns {*} Cell value ("" for empty cells)
+ */
+function getGridValue(grid, rowNum, col) {
+  const row = grid.values[rowNum - grid.startRow];
+  return row && col ? row[col] : "";
+}
+
+/**
+ * Sets a cell value in a sheet grid (nothing is written until writeSheetGrid)
+ * @param {Object} grid - Sheet grid from readSheetGrid
+ * @param {number} rowNum - Sheet row number
+ * @param {number} col - Column index
+ * @param {*} value - New value
+ */
+function setGridValue(grid, rowNum, col, value) {
+  const row = grid.values[rowNum - grid.startRow];
+  if (!row || !grid.columns.includes(col)) {
+    throw new Error(`Cell (${rowNum}, ${col}) is outside the sheet grid`);
+  }
+  row[col] = value;
+  grid.changedRows.add(rowNum);
+  grid.changedCells.add(`${rowNum}:${col}`);
+}
+
+/**
+ * Writes the changed rows of a sheet grid back with one setValues per block of
+ * consecutive changed rows and adjacent columns. Unchanged cells in those
+ * blocks get their formula back (setValues reads "=..." as a formula).
+ * @param {Object} grid - Sheet grid from readSheetGrid
+ */
+function writeSheetGrid(grid) {
+  const rows = Array.from(grid.changedRows).sort((a, b) => a - b);
+  let blocks = 0;
+
+  for (const rowRun of getConsecutiveRuns(rows)) {
+    for (const colRun of getConsecutiveRuns(grid.columns)) {
+      grid.sheet
+        .getRange(rowRun[0], colRun[0], rowRun.length, colRun.length)
+        .setValues(
+          rowRun.map((rowNum) =>
+            colRun.map((col) => {
+              const index = rowNum - grid.startRow;
+              const formula = grid.formulas[index][col];
+              return formula && !grid.changedCells.has(`${rowNum}:${col}`)
+                ? formula
+                : grid.values[index][col];
+            }),
+          ),
+        );
+      blocks++;
+    }
+  }
+
+  grid.changedRows.clear();
+  grid.changedCells.clear();
+  Logger.log(`Wrote ${rows.length} rows in ${blocks} range(s)`);
+}
+
+/**
+ * Splits sorted numbers into runs of consecutive values
+ * @param {number[]} numbers - Sorted numbers
+ * @returns {number[][]} Runs, e.g. [2, 3, 4, 7] -> [[2, 3, 4], [7]]
+ */
+function getConsecutiveRuns(numbers) {
+  const runs = [];
+  for (const n of numbers) {
+    const run = runs[runs.length - 1];
+    if (run && n === run[run.length - 1] + 1) {
+      run.push(n);
+    } else {
+      runs.push([n]);
+    }
+  }
+  return runs;
+}
+
+/**
+ * Shows progress toast notification
+ * @param {string} message - Progress message
+ */
+function showProgress(message) {
+  SpreadsheetApp.getActiveSpreadsheet().toast(message, "VPAT Processor", -1);
+}
+
+/**
+ * Hides progress toast notification
+ */
+function hideProgress() {
+  SpreadsheetApp.getActiveSpreadsheet().toast("", "VPAT Processor", 1);
+}
+
+/**
+ * Deletes temporary document from Drive
+ * @param {string} docId - Document ID to delete
+ */
+function cleanupTempDoc(docId) {
+  try {
+    // Use DriveApp instead of Drive API for more reliable deletion
+    const file = DriveApp.getFileById(docId);
+    file.setTrashed(true);
+    Logger.log(`Cleaned up temporary document: ${docId}`);
+  } catch (error) {
+    // Don't throw - just log the error
+    Logger.log(`Failed to cleanup temp doc ${docId}: ${error.message}`);
+  }
+}
+
+/**
+ * Shows completion message to user
+ * @param {GoogleAppsScript.Base.Ui} ui - UI object
+ * @param {Object} results - Processing results
+ */
+function showCompletionMessage(ui, results) {
+  const message =
+    `Processing Complete!\n\n` +
+    `Rows Updated: ${results.rowsUpdated}\n` +
+    `Total Processed: ${results.totalRows}`;
+
+  if (results.rowsFailed > 0) {
+    ui.alert(
+      "Processing Complete (with warnings)",
+      `${message}\n\nWarning: ${results.rowsFailed} rows had errors. Check logs for details.`,
+      ui.ButtonSet.OK,
+    );
+  } else {
+    ui.alert("Success", message, ui.ButtonSet.OK);
+  }
+}
+
+/*******************************************************
+ * AI INTERPRETATION FUNCTIONALITY
+ *******************************************************/
+
+/**
+ * Main entry point for AI interpretation
+ * Asks for the row range, then runs interpretation as a resumable job
+ */
+function interpretConformanceLevels() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getActiveSheet();
+
+  try {
+    // Step 1: Validate columns exist before asking for anything
+    validateAndMapColumnsForInterpretation(sheet);
+
+    // Step 2: Get user input for row range
+    const userConfig = getRowRangeForInterpretation(ui);
+    if (!userConfig) {
+      return; // User cancelled
+    }
+
+    startJob({
+      steps: [CONFIG.JOBS.STEPS.INTERPRET],
+      sheetName: sheet.getName(),
+      startRow: userConfig.startRow,
+      endRow: userConfig.endRow,
+    });
+  } catch (error) {
+    Logger.log(`Error in interpretConformanceLevels: ${error.message}`);
+    Logger.log(error.stack);
+    ss.toast(`Error: ${error.message}`, "Interpretation Failed", 10);
+  }
+}
+
+/**
+ * Interpretation step: interprets clear-cut rows by rules, then sends the rest
+ * to AI in batches until done or out of time
+ * The rows left for AI are listed on the first run and kept in job.state, with
+ * the next batch position checkpointed after every batch.
+ * @param {Object} job - Job with sheetName, startRow, endRow and step state
+ * @param {number} deadline - Time (ms) after which no new batch is started
+ * @returns {Object} { done, message }
+ */
+function runInterpretationStep(job, deadline) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = getJobSheet(job);
+  const state = job.state;
+
+  // Step 1: Validate columns exist
+  const columnMap = validateAndMapColumnsForInterpretation(sheet);
+
+  // Step 2: Get the prompt and confidence threshold from Prompts sheet, and
+  // check the AI settings before any rows are sent
+  const systemPrompt = getPromptFromSheet(ss);
+  const confidenceThreshold = getConfidenceThreshold(ss);
+  ensureAITaskSettingsTable(ss);
+  const settings = getAIProviderSettings(ss, CONFIG.JOBS.STEPS.INTERPRET);
+  const consensus = getConsensusSettings(ss, settings);
+  const escalation = getEscalationSettings(ss, settings);
+  beginAIUsage(job, CONFIG.JOBS.STEPS.INTERPRET);
+
+  // Step 3: Find rows with original conformance data and interpret the
+  // clear-cut ones without AI (first run only)
+  if (!state.rows) {
+    let startRow = job.startRow;
+    let endRow = job.endRow;
+    if (startRow === null || endRow === null) {
+      startRow = CONFIG.DEFAULT_START_ROW;
+      endRow = sheet.getLastRow();
+    }
+
+    showProgress(`Analyzing ${endRow - startRow + 1} rows...`);
+    const rows = findRowsWithConformanceData(
+      sheet,
+      columnMap,
+      startRow,
+      endRow,
+    );
+    const byRules = interpretRowsByRules(
+      sheet,
+      columnMap,
+      rows,
+      confidenceThreshold,
+    );
+    state.rows = byRules.aiRows;
+    state.byRules = byRules.resolved;
+    state.nextIndex = 0;
+    state.success = 0;
+    state.errors = 0;
+    state.retries = 0;
+    state.cached = 0;
+    saveJob(job);
+  }
+
+  const byRules = state.byRules || 0;
+  const total = byRules + state.rows.length;
+  if (total === 0) {
+    return {
+      done: true,
+      message:
+        "No rows need interpretation. Run extraction first (rows resolved from the document are skipped).",
+    };
+  }
+
+  // Step 4: Process the remaining rows with AI, checkpointing after each batch
+  if (state.rows.length > 0) {
+    showProgress(
+      `Interpreting ${state.rows.length - state.nextIndex} rows with AI...`,
+    );
+    const results = processRowsWithAI(
+      sheet,
+      columnMap,
+      state.rows,
+      systemPrompt,
+      confidenceThreshold,
+      {
+        startIndex: state.nextIndex,
+        deadline,
+        settings,
+        consensus,
+        escalation,
+        onBatch: (batch) => {
+          state.nextIndex = batch.nextIndex;
+          state.success += batch.success;
+          state.errors += batch.errors;
+          state.retries = (state.retries || 0) + batch.retries;
+          state.cached = (state.cached || 0) + batch.cached;
+          state.disagreed = (state.disagreed || 0) + batch.disagreed;
+          state.escalated = (state.escalated || 0) + batch.escalated;
+          saveJob(job);
+        },
+      },
+    );
+
+    if (results.nextIndex < state.rows.length) {
+      return {
+        done: false,
+        message: `Interpreted ${byRules + state.nextIndex} of ${total} rows${describeRetries(state.retries)}${describeCacheHits(state.cached)}`,
+      };
+    }
+  }
+
+  // Step 5: Show completion
+  let message = `✓ Interpreted ${byRules + state.success} of ${total} rows (${byRules} by rules, ${state.success} by AI)${describeRetries(state.retries)}${describeCacheHits(state.cached)}`;
+  if (consensus.length > 0) {
+    message += ` (models disagreed on ${state.disagreed || 0} rows)`;
+  }
+  if (escalation) {
+    message += ` (${state.escalated || 0} low-confidence rows asked again with ${describeModel(escalation)})`;
+  }
+  return { done: true, message };
+}
+
+/**
+ * Gets row range from user for interpretation
+ */
+function getRowRangeForInterpretation(ui) {
+  const response = ui.prompt(
+    "AI Interpretation Configuration",
+    "Enter row range to interpret (optional):\n\n" +
+      "Start Row, End Row\n\n" +
+      "Examples:\n" +
+      "  2, 50  (interpret rows 2-50)\n" +
+      "  (leave empty to interpret all rows)",
+    ui.ButtonSet.OK_CANCEL,
+  );
+
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return null;
+  }
+
+  const input = response.getResponseText().trim();
+
+  // If empty, process all rows
+  if (!input) {
+    return { startRow: null, endRow: null };
+  }
+
+  const inputs = input.split(",").map((s) => s.trim());
+  const startRow = parseInt(inputs[0], 10);
+  const endRow = parseInt(inputs[1], 10);
+
+  if (
+    isNaN(startRow) ||
+    isNaN(endRow) ||
+    startRow < CONFIG.DEFAULT_START_ROW ||
+    endRow < startRow
+  ) {
+    throw new Error("Invalid row numbers.");
+  }
+
+  return { startRow, endRow };
+}
+
+/**
+ * Validates that interpreted columns exist in the sheet
+ */
+function validateAndMapColumnsForInterpretation(sheet) {
+  const headerRow = sheet
+    .getRange(1, 1, 1, sheet.getLastColumn())
+    .getValues()[0];
+  const columnMap = {};
+
+  // Required columns for interpretation
+  const requiredColumns = {
+    CRITERIA: CONFIG.COLUMN_NAMES.CRITERIA,
+    CONFORMANCE_LEVEL: CONFIG.COLUMN_NAMES.CONFORMANCE_LEVEL,
+    REMARKS: CONFIG.COLUMN_NAMES.REMARKS,
+    CONFORMANCE_INTERPRETED: CONFIG.COLUMN_NAMES.CONFORMANCE_INTERPRETED,
+    WEB_INTERPRETED: CONFIG.COLUMN_NAMES.WEB_INTERPRETED,
+    ELECTRONIC_DOCS_INTERPRETED:
+      CONFIG.COLUMN_NAMES.ELECTRONIC_DOCS_INTERPRETED,
+    SOFTWARE_INTERPRETED: CONFIG.COLUMN_NAMES.SOFTWARE_INTERPRETED,
+    CLOSED_INTERPRETED: CONFIG.COLUMN_NAMES.CLOSED_INTERPRETED,
+    AUTHORING_INTERPRETED: CONFIG.COLUMN_NAMES.AUTHORING_INTERPRETED,
+    AI_COMMENT: CONFIG.COLUMN_NAMES.AI_COMMENT,
+    NEEDS_REVIEW: CONFIG.COLUMN_NAMES.NEEDS_REVIEW,
+  };
+
+  for (const [key, columnName] of Object.entries(requiredColumns)) {
+    const colIndex = headerRow.indexOf(columnName);
+    if (colIndex === -1) {
+      throw new Error(
+        `Required column "${columnName}" not found in sheet headers.`,
+      );
+    }
+    columnMap[key] = colIndex + 1;
+  }
+
+  mapOptionalColumns(headerRow, columnMap);
+  return columnMap;
+}
+
+/**
+ * Gets the interpretation prompt from the Prompts sheet
+ */
+function getPromptFromSheet(spreadsheet) {
+  try {
+    const promptsSheet = spreadsheet.getSheetByName(CONFIG.PROMPTS_SHEET_NAME);
+
+    if (!promptsSheet) {
+      throw new Error(
+        `"${CONFIG.PROMPTS_SHEET_NAME}" sheet not found. Please create it with columns: "Prompt Name" and "Prompt Text"`,
+      );
+    }
+
+    const data = promptsSheet.getDataRange().getValues();
+
+    // Find the prompt by name (skip header row)
+    for (let i = 1; i < data.length; i++) {
+      const promptName = data[i][CONFIG.PROMPT_NAME_COLUMN - 1];
+      const promptText = data[i][CONFIG.PROMPT_TEXT_COLUMN - 1];
+
+      if (promptName === CONFIG.INTERPRET_PROMPT_NAME) {
+        if (!promptText) {
+          throw new Error(`Prompt "${CONFIG.INTERPRET_PROMPT_NAME}" is empty.`);
+        }
+        return promptText;
+      }
+    }
+
+    throw new Error(
+      `Prompt "${CONFIG.INTERPRET_PROMPT_NAME}" not found in "${CONFIG.PROMPTS_SHEET_NAME}" sheet.`,
+    );
+  } catch (error) {
+    throw new Error(`Failed to load prompt: ${error.message}`);
+  }
+}
+
+/**
+ * Gets the AI provider from the AI Provider sheet
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet
+ * @returns {string} Provider code (a key of AI_PROVIDERS, e.g. "OPENAI")
+ */
+function getAIProvider(spreadsheet) {
+  try {
+    const providerSheet = spreadsheet.getSheetByName(
+      CONFIG.AI_PROVIDER_SHEET_NAME,
+    );
+
+    if (!providerSheet) {
+      Logger.log(
+        `"${CONFIG.AI_PROVIDER_SHEET_NAME}" sheet not found, defaulting to OpenAI`,
+      );
+      return "OPENAI";
+    }
+
+    const providerValue = providerSheet
+      .getRange(CONFIG.AI_PROVIDER_CELL)
+      .getValue();
+    const provider = findAIProvider(providerValue);
+
+    if (provider) {
+      Logger.log(`Using ${AI_PROVIDERS[provider].label} provider`);
+      return provider;
+    }
+    Logger.log(`Unknown provider "${providerValue}", defaulting to OpenAI`);
+    return "OPENAI";
+  } catch (error) {
+    Logger.log(
+      `Error reading AI provider: ${error.message}, defaulting to OpenAI`,
+    );
+    return "OPENAI";
+  }
+}
+
+/**
+ * Finds the provider whose code or one of whose names matches a sheet value
+ * @param {*} value - Provider cell value (e.g. "Azure OpenAI", "Claude")
+ * @returns {string|null} Provider code, or null if none matches
+ */
+function findAIProvider(value) {
+  const name = String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+  if (!name) {
+    return null;
+  }
+  for (const code of Object.keys(AI_PROVIDERS)) {
+    if (
+      code.toLowerCase() === name ||
+      AI_PROVIDERS[code].names.includes(name)
+    ) {
+      return code;
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads the provider, API key and generation settings for an AI task
+ * Settings come from the task's column in the AI Provider sheet's settings
+ * table, then cells C2/D2 (endpoint, model), then the provider defaults.
+ * Invalid values stop the run with an error naming the setting.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet
+ * @param {string} task - CONFIG.JOBS.STEPS.INTERPRET or CONFIG.JOBS.STEPS.QUALITY
+ * @returns {Object} { provider, apiKey, baseUrl, model, temperature, maxTokens,
+ *   timeoutMs, inputPrice, outputPrice, budget, bypassCache, consensusModels,
+ *   escalationModel }
+ */
+function getAIProviderSettings(spreadsheet, task) {
+  const provider = getAIProvider(spreadsheet);
+  const definition = AI_PROVIDERS[provider];
+  const taskConfig = CONFIG.AI_TASK_SETTINGS;
+  const providerSheet = spreadsheet.getSheetByName(
+    CONFIG.AI_PROVIDER_SHEET_NAME,
+  );
+
+  const readCell = (cell) =>
+    providerSheet ? String(providerSheet.getRange(cell).getValue()).trim() : "";
+  const taskValues = providerSheet
+    ? readAITaskSettings(providerSheet, task)
+    : {};
+  const taskLabel = taskConfig.TASK_COLUMNS[task];
+  const describe = (key) =>
+    `${taskConfig.ROWS[key]} for ${taskLabel} in the "${CONFIG.AI_PROVIDER_SHEET_NAME}" sheet`;
+
+  const settings = {
+    provider,
+    apiKey: "",
+    baseUrl: (
+      taskValues.baseUrl ||
+      readCell(CONFIG.AI_ENDPOINT_CELL) ||
+      definition.baseUrl
+    ).replace(/\/+$/, ""),
+    model:
+      taskValues.model || readCell(CONFIG.AI_MODEL_CELL) || definition.model,
+    temperature:
+      definition.temperature === undefined ? null : definition.temperature,
+    maxTokens: taskConfig.DEFAULT_MAX_TOKENS,
+    timeoutMs: taskConfig.DEFAULT_TIMEOUT_SECONDS * 1000,
+    inputPrice: null,
+    outputPrice: null,
+    budget: null,
+    bypassCache: false,
+    consensusModels: "", // Checked by getConsensusSettings
+    escalationModel: "", // Checked by getEscalationSettings
+  };
+
+  // Step 1: Endpoint and model
+  if (!settings.baseUrl) {
+    throw createFatalError(
+      `${definition.label} needs an endpoint URL in cell ${CONFIG.AI_ENDPOINT_CELL} of the "${CONFIG.AI_PROVIDER_SHEET_NAME}" sheet (or the Endpoint row for ${taskLabel}).`,
+    );
+  }
+  // Plain http:// would send the API key in cleartext; only a self-hosted
+  // OpenAI-compatible server (often on a private network) may use it
+  const urlPattern =
+    provider === "LOCAL" ? /^https?:\/\/[^\s/]+/i : /^https:\/\/[^\s/]+/i;
+  if (!urlPattern.test(settings.baseUrl)) {
+    throw createFatalError(
+      `${describe("baseUrl")} must start with https://${provider === "LOCAL" ? " or http://" : ""} (got "${settings.baseUrl}").`,
+    );
+  }
+  if (!settings.model) {
+    throw createFatalError(
+      `${definition.label} needs a model${provider === "AZURE_OPENAI" ? " deployment name" : ""} in cell ${CONFIG.AI_MODEL_CELL} of the "${CONFIG.AI_PROVIDER_SHEET_NAME}" sheet (or the Model row for ${taskLabel}).`,
+    );
+  }
+
+  // Step 2: Generation parameters
+  const maxTemperature = definition.maxTemperature || 2;
+  if (taskValues.temperature !== undefined) {
+    settings.temperature = parseSettingNumber(
+      taskValues.temperature,
+      0,
+      maxTemperature,
+      `${describe("temperature")} must be a number from 0 to ${maxTemperature}`,
+    );
+  }
+  if (taskValues.maxTokens !== undefined) {
+    settings.maxTokens = parseSettingNumber(
+      taskValues.maxTokens,
+      1,
+      taskConfig.MAX_TOKENS_LIMIT,
+      `${describe("maxTokens")} must be a whole number from 1 to ${taskConfig.MAX_TOKENS_LIMIT}`,
+    );
+    if (!Number.isInteger(settings.maxTokens)) {
+      throw createFatalError(
+        `${describe("maxTokens")} must be a whole number (got "${taskValues.maxTokens}").`,
+      );
+    }
+  }
+  if (taskValues.timeoutSeconds !== undefined) {
+    settings.timeoutMs =
+      parseSettingNumber(
+        taskValues.timeoutSeconds,
+        1,
+        taskConfig.MAX_TIMEOUT_SECONDS,
+        `${describe("timeoutSeconds")} must be a number of seconds from 1 to ${taskConfig.MAX_TIMEOUT_SECONDS}`,
+      ) * 1000;
+  }
+
+  // Step 3: Prices and budget
+  for (const key of ["inputPrice", "outputPrice"]) {
+    if (taskValues[key] !== undefined) {
+      settings[key] = parseSettingNumber(
+        taskValues[key],
+        0,
+        Infinity,
+        `${describe(key)} must be a number of dollars (0 or more)`,
+      );
+    }
+  }
+  if ((settings.inputPrice === null) !== (settings.outputPrice === null)) {
+    throw createFatalError(
+      `Set both ${taskConfig.ROWS.inputPrice} and ${taskConfig.ROWS.outputPrice} for ${taskLabel} in the "${CONFIG.AI_PROVIDER_SHEET_NAME}" sheet.`,
+    );
+  }
+  if (taskValues.budget !== undefined) {
+    settings.budget = parseSettingNumber(
+      taskValues.budget,
+      0,
+      Infinity,
+      `${describe("budget")} must be a number of dollars`,
+    );
+    if (!getModelPrices(settings)) {
+      throw createFatalError(
+        `No price known for model "${settings.model}", so ${describe("budget")} can't be checked. Set ${taskConfig.ROWS.inputPrice} and ${taskConfig.ROWS.outputPrice} for ${taskLabel}.`,
+      );
+    }
+  }
+
+  // Step 4: Cache
+  if (taskValues.bypassCache !== undefined) {
+    const bypass = String(taskValues.bypassCache).toLowerCase();
+    if (!["yes", "no", "true", "false"].includes(bypass)) {
+      throw createFatalError(
+        `${describe("bypassCache")} must be Yes or No (got "${taskValues.bypassCache}").`,
+      );
+    }
+    settings.bypassCache = bypass === "yes" || bypass === "true";
+  }
+
+  // Step 5: Consensus and escalation models
+  for (const key of ["consensusModels", "escalationModel"]) {
+    if (taskValues[key] === undefined) {
+      continue;
+    }
+    if (task !== CONFIG.JOBS.STEPS.INTERPRET) {
+      throw createFatalError(
+        `${describe(key)} is not supported; it is for Interpretation only.`,
+      );
+    }
+    settings[key] = String(taskValues[key]);
+  }
+
+  // Step 6: API key
+  try {
+    settings.apiKey = getAPIKey(spreadsheet, provider);
+  } catch (error) {
+    if (!definition.apiKeyOptional) {
+      throw createFatalError(error.message);
+    }
+  }
+  return settings;
+}
+
+/**
+ * Builds the settings of an extra model named as "Provider: model" in the AI
+ * Provider sheet (Consensus Models, Escalation Model)
+ * The model shares the task's settings except for the endpoint (the provider's
+ * default, or the task's endpoint for the same provider), temperature (the
+ * provider's default) and prices (the built-in list).
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet
+ * @param {Object} primary - From getAIProviderSettings
+ * @param {string} entry - e.g. "Gemini: gemini-2.5-flash" or "Anthropic"
+ * @param {string} setting - Where the entry comes from, for error messages
+ * @returns {Object} Settings in the getAIProviderSettings format
+ */
+function getModelSettings(spreadsheet, primary, entry, setting) {
+  // Model names may contain colons (e.g. "llama3:8b")
+  const [, providerName, modelName] = entry.match(/^([^:]+)(?::(.*))?$/);
+  const provider = findAIProvider(providerName);
+  if (!provider) {
+    throw createFatalError(
+      `Unknown provider "${providerName.trim()}" in ${setting}. Use e.g. "Gemini: gemini-2.5-flash".`,
+    );
+  }
+  const definition = AI_PROVIDERS[provider];
+  const settings = Object.assign({}, primary, {
+    provider,
+    apiKey: "",
+    baseUrl:
+      provider === primary.provider ? primary.baseUrl : definition.baseUrl,
+    model: (modelName || "").trim() || definition.model,
+    temperature:
+      definition.temperature === undefined ? null : definition.temperature,
+    inputPrice: null,
+    outputPrice: null,
+    consensusModels: "",
+    escalationModel: "",
+  });
+
+  if (!settings.baseUrl) {
+    throw createFatalError(
+      `${definition.label} in ${setting} has no default endpoint; it can only be used when it is also the provider in cell ${CONFIG.AI_PROVIDER_CELL}.`,
+    );
+  }
+  if (!settings.model) {
+    throw createFatalError(
+      `${definition.label} in ${setting} needs a model (e.g. "${definition.label}: model-name").`,
+    );
+  }
+  if (settings.budget !== null && !getModelPrices(settings)) {
+    throw createFatalError(
+      `No price known for model "${settings.model}" in ${setting}, so the budget can't be checked.`,
+    );
+  }
+
+  try {
+    settings.apiKey = getAPIKey(spreadsheet, provider);
+  } catch (error) {
+    if (!definition.apiKeyOptional) {
+      throw createFatalError(
+        `No ${definition.label} API key set (needed for ${setting}). Use VPAT Processor → Set API Key and enter ${definition.label}.`,
+      );
+    }
+  }
+  return settings;
+}
+
+/**
+ * Parses a numeric setting and checks its range
+ * @param {*} value - Cell value
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @param {string} message - Error message when the value is invalid
+ * @returns {number} Parsed value
+ */
+function parseSettingNumber(value, min, max, message) {
+  const number = typeof value === "number" ? value : Number(String(value));
+  if (isNaN(number) || number < min || number > max) {
+    throw createFatalError(`${message} (got "${value}").`);
+  }
+  return number;
+}
+
+/**
+ * Finds the settings table on the AI Provider sheet
+ * @param {Array<Array>} data - Values of the AI Provider sheet
+ * @returns {Object|null} { headerIndex, endIndex (first index after the table),
+ *   rows: [{ index, key }] } with key null for unknown labels, or null when
+ *   the sheet has no table
+ */
+function findAITaskSettingsTable(data) {
+  const taskConfig = CONFIG.AI_TASK_SETTINGS;
+  const normalize = (value) => String(value).trim().toLowerCase();
+
+  const headerIndex = data.findIndex(
+    (row) => normalize(row[0]) === normalize(taskConfig.HEADER),
+  );
+  if (headerIndex === -1) {
+    return null;
+  }
+
+  // Setting rows follow the header until the first empty label
+  const rows = [];
+  let endIndex = headerIndex + 1;
+  for (; endIndex < data.length; endIndex++) {
+    const label = normalize(data[endIndex][0]);
+    if (!label) {
+      break;
+    }
+    const key = Object.keys(taskConfig.ROWS).find(
+      (k) => normalize(taskConfig.ROWS[k]) === label,
+    );
+    rows.push({ index: endIndex, key: key || null });
+  }
+  return { headerIndex, endIndex, rows };
+}
+
+/**
+ * Reads one task's column of the settings table on the AI Provider sheet
+ * Only reads: the table is added or completed by ensureAITaskSettingsTable.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - AI Provider sheet
+ * @param {string} task - Key of CONFIG.AI_TASK_SETTINGS.TASK_COLUMNS
+ * @returns {Object} Non-empty values by setting key (model, baseUrl, temperature...)
+ */
+function readAITaskSettings(sheet, task) {
+  const taskConfig = CONFIG.AI_TASK_SETTINGS;
+  const data = sheet.getDataRange().getValues();
+  const normalize = (value) => String(value).trim().toLowerCase();
+
+  const table = findAITaskSettingsTable(data);
+  if (!table) {
+    return {};
+  }
+
+  const taskColumn = data[table.headerIndex].findIndex(
+    (cell) => normalize(cell) === normalize(taskConfig.TASK_COLUMNS[task]),
+  );
+  if (taskColumn === -1) {
+    return {};
+  }
+
+  const values = {};
+  for (const { index, key } of table.rows) {
+    const value = data[index][taskColumn];
+    if (key && value !== "" && value !== null) {
+      values[key] = typeof value === "string" ? value.trim() : value;
+    }
+  }
+  return values;
+}
+
+/**
+ * Adds the settings table to the AI Provider sheet when it has none, or the
+ * rows of newer settings to a table added by an older version (when the space
+ * below it is free). Called once when an AI step starts, so reading the
+ * settings never writes to the sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet
+ */
+function ensureAITaskSettingsTable(spreadsheet) {
+  const taskConfig = CONFIG.AI_TASK_SETTINGS;
+  const sheet = spreadsheet.getSheetByName(CONFIG.AI_PROVIDER_SHEET_NAME);
+  if (!sheet) {
+    return;
+  }
+
+  const data = sheet.getDataRange().getValues();
+  const table = findAITaskSettingsTable(data);
+  if (!table) {
+    addAITaskSettingsTable(sheet, data.length);
+    return;
+  }
+
+  const foundKeys = table.rows.map((row) => row.key);
+  const missingKeys = Object.keys(taskConfig.ROWS).filter(
+    (key) => !foundKeys.includes(key),
+  );
+  const spaceIsFree = data
+    .slice(table.endIndex, table.endIndex + missingKeys.length)
+    .every((row) => row.every((cell) => cell === ""));
+  if (missingKeys.length === 0 || !spaceIsFree) {
+    return;
+  }
+
+  const header = data[table.headerIndex];
+  const notesColumn = Math.max(
+    header.findIndex((cell) => String(cell).trim().toLowerCase() === "notes"),
+    1,
+  );
+  const rows = missingKeys.map((key) => {
+    const row = new Array(header.length).fill("");
+    row[0] = taskConfig.ROWS[key];
+    row[notesColumn] = taskConfig.NOTES[key];
+    return row;
+  });
+  sheet
+    .getRange(table.endIndex + 1, 1, rows.length, header.length)
+    .setValues(rows);
+  Logger.log(`Added settings rows: ${missingKeys.join(", ")}`);
+}
+
+/**
+ * Appends the empty per-task settings table below the provider cells
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - AI Provider sheet
+ * @param {number} lastRow - Last row in use
+ */
+function addAITaskSettingsTable(sheet, lastRow) {
+  const taskConfig = CONFIG.AI_TASK_SETTINGS;
+  const taskLabels = Object.values(taskConfig.TASK_COLUMNS);
+  const rows = [[taskConfig.HEADER].concat(taskLabels, ["Notes"])];
+  for (const key of Object.keys(taskConfig.ROWS)) {
+    rows.push(
+      [taskConfig.ROWS[key]].concat(
+        taskLabels.map(() => ""),
+        [taskConfig.NOTES[key]],
+      ),
+    );
+  }
+
+  const startRow = Math.max(lastRow, 2) + 2;
+  sheet.getRange(startRow, 1, rows.length, rows[0].length).setValues(rows);
+  sheet.getRange(startRow, 1, 1, rows[0].length).setFontWeight("bold");
+  Logger.log(`Added AI task settings table at row ${startRow}`);
+}
+
+/**
+ * Gets the confidence threshold from the Prompts sheet
+ */
+function getConfidenceThreshold(spreadsheet) {
+  try {
+    const promptsSheet = spreadsheet.getSheetByName(CONFIG.PROMPTS_SHEET_NAME);
+
+    if (!promptsSheet) {
+      return CONFIG.DEFAULT_CONFIDENCE_THRESHOLD;
+    }
+
+    const data = promptsSheet.getDataRange().getValues();
+
+    // Find the confidence level setting (skip header row)
+    for (let i = 1; i < data.length; i++) {
+      const promptName = data[i][CONFIG.PROMPT_NAME_COLUMN - 1];
+      const promptText = data[i][CONFIG.PROMPT_TEXT_COLUMN - 1];
+
+      if (promptName === CONFIG.CONFIDENCE_LEVEL_NAME) {
+        const threshold = parseInt(promptText, 10);
+        if (!isNaN(threshold) && threshold >= 0 && threshold <= 100) {
+          Logger.log(`Using confidence threshold: ${threshold}`);
+          return threshold;
+        }
+      }
+    }
+
+    Logger.log(
+      `Confidence threshold not found, using default: ${CONFIG.DEFAULT_CONFIDENCE_THRESHOLD}`,
+    );
+    return CONFIG.DEFAULT_CONFIDENCE_THRESHOLD;
+  } catch (error) {
+    Logger.log(`Error reading confidence threshold: ${error.message}`);
+    return CONFIG.DEFAULT_CONFIDENCE_THRESHOLD;
+  }
+}
+
+/**
+ * Normalizes conformance value to handle AI response variations
+ * @param {string} value - Raw value from AI
+ * @returns {string} Normalized valid conformance value or original if already valid
+ */
+function normalizeConformanceValue(value) {
+  if (!value) return "";
+
+  const normalized = String(value).trim();
+
+  // Check if already valid (exact match with proper capitalization)
+  if (CONFIG.VALID_CONFORMANCE_VALUES.includes(normalized)) {
+    return normalized;
+  }
+
+  // Normalize common variations (case-insensitive matching)
+  const lowerValue = normalized.toLowerCase();
+
+  // Map variations to correct values
+  const mappings = {
+    // Supports variations
+    supports: "Supports",
+    support: "Supports",
+    yes: "Supports",
+    supported: "Supports",
+
+    // Partially Supports variations
+    "partially supports": "Partially Supports",
+    "partial supports": "Partially Supports",
+    "partially support": "Partially Supports",
+    "partial support": "Partially Supports",
+    "partially supported": "Partially Supports",
+    partially: "Partially Supports",
+    partial: "Partially Supports",
+    "supports with exceptions": "Partially Supports",
+    "supports with exception": "Partially Supports",
+    sometimes: "Partially Supports",
+
+    // Does Not Support variations
+    "does not support": "Does Not Support",
+    "doesn't support": "Does Not Support",
+    "does not supports": "Does Not Support",
+    "not supported": "Does Not Support",
+    "not support": "Does Not Support",
+    no: "Does Not Support",
+    fails: "Does Not Support",
+    failed: "Does Not Support",
+
+    // Not Applicable variations
+    "not applicable": "Not Applicable",
+    "n/a": "Not Applicable",
+    na: "Not Applicable",
+    "not apply": "Not Applicable",
+
+    // Not Evaluated variations
+    "not evaluated": "Not Evaluated",
+    "not assessed": "Not Evaluated",
+    unevaluated: "Not Evaluated",
+    unknown: "Not Evaluated",
+  };
+
+  if (mappings[lowerValue]) {
+    return mappings[lowerValue];
+  }
+
+  // If no mapping found, return original value (will be logged as invalid)
+  return normalized;
+}
+
+/**
+ * Finds rows that have conformance data (from extraction)
+ */
+function findRowsWithConformanceData(sheet, columnMap, startRow, endRow) {
+  const conformanceCol = columnMap.CONFORMANCE_LEVEL;
+  const numRows = endRow - startRow + 1;
+
+  const conformanceData = sheet
+    .getRange(startRow, conformanceCol, numRows, 1)
+    .getValues();
+  const sourceData = columnMap.INTERPRETATION_SOURCE
+    ? sheet
+        .getRange(startRow, columnMap.INTERPRETATION_SOURCE, numRows, 1)
+        .getValues()
+    : null;
+
+  const rowsToProcess = [];
+  let resolvedFromDocument = 0;
+
+  for (let i = 0; i < conformanceData.length; i++) {
+    const value = conformanceData[i][0];
+    // Check if cell has data (not empty)
+    if (!value || String(value).trim() === "") {
+      continue;
+    }
+    // Skip rows whose platform values were stated explicitly in the document
+    if (
+      sourceData &&
+      sourceData[i][0] === CONFIG.INTERPRETATION_SOURCES.DOCUMENT
+    ) {
+      resolvedFromDocument++;
+      continue;
+    }
+    rowsToProcess.push(startRow + i);
+  }
+
+  Logger.log(
+    `${rowsToProcess.length} rows need AI interpretation, ${resolvedFromDocument} already resolved from document`,
+  );
+  return rowsToProcess;
+}
+
+/**
+ * Processes rows with AI to interpret conformance levels
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet
+ * @param {Object} columnMap - Column index mapping
+ * @param {number[]} rowNumbers - Rows to interpret
+ * @param {string} systemPrompt - Interpretation prompt
+ * @param {number} confidenceThreshold - Confidence below which rows need review
+ * @param {Object} [options] - { startIndex: first position in rowNumbers,
+ *   deadline: time (ms) after which no new batch, extra model or re-request
+ *   starts (the batch is written with the answers it has), settings: the task's
+ *   model (from getAIProviderSettings), consensus: models from
+ *   getConsensusSettings (rows are also sent to each extra model and compared),
+ *   escalation: model from getEscalationSettings (asked again for rows below
+ *   the confidence threshold), onBatch: called after each batch is written
+ *   with { nextIndex, success, errors, retries, cached, disagreed, escalated } }
+ * @returns {Object} { success, errors, nextIndex } (nextIndex < rowNumbers.length when stopped early)
+ */
+function processRowsWithAI(
+  sheet,
+  columnMap,
+  rowNumbers,
+  systemPrompt,
+  confidenceThreshold,
+  options,
+) {
+  const startIndex = (options && options.startIndex) || 0;
+  const deadline = (options && options.deadline) || Infinity;
+  const primary =
+    (options && options.settings) ||
+    getAIProviderSettings(
+      SpreadsheetApp.getActiveSpreadsheet(),
+      CONFIG.JOBS.STEPS.INTERPRET,
+    );
+  const consensus = (options && options.consensus) || [];
+  const escalation = (options && options.escalation) || null;
+  let successCount = 0;
+  let errorCount = 0;
+  let disagreedCount = 0;
+  let escalatedCount = 0;
+
+  // Determine batch size (0 = process all at once)
+  const batchSize = CONFIG.BATCH_SIZE || rowNumbers.length;
+  const getCacheInput = (entry) =>
+    JSON.stringify([entry.criteria, entry.conformanceLevel, entry.remarks]);
+  if (consensus.length > 0) {
+    ensureOptionalColumns(sheet, columnMap, ["MODEL_AGREEMENT"]);
+  }
+  if (escalation) {
+    ensureOptionalColumns(sheet, columnMap, [
+      "ANSWER_MODEL",
+      "ANSWER_CONFIDENCE",
+      "INITIAL_CONFIDENCE",
+    ]);
+  }
+
+  // One read for the inputs; results are written back in blocks after each batch
+  const firstRow = Math.min(...rowNumbers);
+  const lastRow = Math.max(...rowNumbers);
+  const inputs = readSheetGrid(sheet, firstRow, lastRow, [
+    columnMap.CRITERIA,
+    columnMap.CONFORMANCE_LEVEL,
+    columnMap.REMARKS,
+    columnMap.EXTRACTION_NOTE,
+  ]);
+  const outputs = readSheetGrid(
+    sheet,
+    firstRow,
+    lastRow,
+    [
+      columnMap.AI_COMMENT,
+      columnMap.NEEDS_REVIEW,
+      columnMap.INTERPRETATION_SOURCE,
+      columnMap.MODEL_AGREEMENT,
+      columnMap.ANSWER_MODEL,
+      columnMap.ANSWER_CONFIDENCE,
+      columnMap.INITIAL_CONFIDENCE,
+    ].concat(getInterpretedFields(columnMap).map((field) => field.col)),
+  );
+
+  // Process in batches
+  let nextIndex = startIndex;
+  for (let i = startIndex; i < rowNumbers.length; i += batchSize) {
+    // Leave the rest for the next run rather than hit the execution time limit
+    if (Date.now() > deadline) {
+      Logger.log(`Time limit reached; stopping before row ${rowNumbers[i]}`);
+      break;
+    }
+    const batchRows = rowNumbers.slice(i, i + batchSize);
+    const successBefore = successCount;
+    const errorsBefore = errorCount;
+    const retriesBefore = AI_REQUEST_STATS.retries;
+    const cachedBefore = AI_CACHE.hits;
+    let cachedRows = 0; // Primary model only, however many models answer
+    const disagreedBefore = disagreedCount;
+    const escalatedBefore = escalatedCount;
+
+    try {
+      // Collect all data for this batch
+      const batchData = [];
+      for (const rowNum of batchRows) {
+        const conformanceLevel = getGridValue(
+          inputs,
+          rowNum,
+          columnMap.CONFORMANCE_LEVEL,
+        );
+        const remarks = getGridValue(inputs, rowNum, columnMap.REMARKS);
+        const criteria = getGridValue(inputs, rowNum, columnMap.CRITERIA);
+
+        batchData.push({
+          rowNum: rowNum,
+          criteria: String(criteria || "").trim(),
+          conformanceLevel: String(conformanceLevel || "").trim(),
+          remarks: String(remarks || "").trim(),
+        });
+      }
+
+      // Call AI once for entire batch (plus re-requests for invalid answers)
+      showProgress(
+        `Processing batch ${Math.floor(i / batchSize) + 1} of ${Math.ceil(
+          rowNumbers.length / batchSize,
+        )} (${batchData.length} rows)...`,
+      );
+      const batchResult = requestStructuredItems(
+        systemPrompt,
+        batchData,
+        CONFIG.JOBS.STEPS.INTERPRET,
+        buildBatchMessage,
+        (entry, index) => index,
+        getCacheInput,
+        primary,
+        deadline,
+      );
+      cachedRows = AI_CACHE.hits - cachedBefore;
+
+      // Escalation mode: rows below the confidence threshold go to the
+      // stronger model, whose answer replaces the first one
+      const escalated = escalation
+        ? requestEscalatedItems(
+            systemPrompt,
+            batchData,
+            batchResult.items,
+            confidenceThreshold,
+            escalation,
+            getCacheInput,
+            deadline,
+          )
+        : { items: [], escalated: 0 };
+      escalatedCount += escalated.escalated;
+
+      // Consensus mode: the same rows from each extra model; a model that fails
+      // leaves its answers missing rather than failing the batch
+      const extraResults = consensus.slice(1).map((settings) => {
+        if (Date.now() > deadline) {
+          Logger.log(`Time limit reached; skipping ${describeModel(settings)}`);
+          return { items: batchData.map(() => null) };
+        }
+        try {
+          return requestStructuredItems(
+            systemPrompt,
+            batchData,
+            CONFIG.JOBS.STEPS.INTERPRET,
+            buildBatchMessage,
+            (entry, index) => index,
+            getCacheInput,
+            settings,
+            deadline,
+          );
+        } catch (error) {
+          if (error.fatal) {
+            throw error;
+          }
+          Logger.log(`${describeModel(settings)} failed: ${error.message}`);
+          return { items: batchData.map(() => null) };
+        }
+      });
+
+      // Write results for each row in the batch
+      for (let j = 0; j < batchData.length; j++) {
+        const rowNum = batchData[j].rowNum;
+        const firstAnswer = batchResult.items[j];
+        const escalatedAnswer = escalated.items[j] || null;
+        const interpretation = escalatedAnswer || firstAnswer;
+        const answerSettings = escalatedAnswer ? escalation : primary;
+
+        // Rows without a valid answer are left as they were
+        if (!interpretation) {
+          Logger.log(`Row ${rowNum}: ${batchResult.errors[j]}`);
+          errorCount++;
+          continue;
+        }
+
+        try {
+          writeInterpretedValues(
+            outputs,
+            columnMap,
+            rowNum,
+            interpretation,
+            confidenceThreshold,
+            String(
+              getGridValue(inputs, rowNum, columnMap.EXTRACTION_NOTE) || "",
+            ),
+            CONFIG.INTERPRETATION_SOURCES.AI,
+          );
+          if (columnMap.ANSWER_MODEL) {
+            writeAnswerModel(
+              outputs,
+              columnMap,
+              rowNum,
+              answerSettings,
+              interpretation,
+              escalatedAnswer ? firstAnswer : null,
+            );
+          }
+          if (consensus.length > 0) {
+            const comparison = compareModelAnswers(
+              consensus.map((settings, m) => ({
+                label: describeModel(m === 0 ? answerSettings : settings),
+                item: m === 0 ? interpretation : extraResults[m - 1].items[j],
+              })),
+            );
+            writeModelAgreement(outputs, columnMap, rowNum, comparison);
+            if (comparison.agreed === false) {
+              disagreedCount++;
+            }
+          }
+          successCount++;
+        } catch (writeError) {
+          Logger.log(`Error writing row ${rowNum}: ${writeError.message}`);
+          errorCount++;
+        }
+      }
+      writeSheetGrid(outputs);
+
+      // Rate limiting between batches
+      if (i + batchSize < rowNumbers.length) {
+        Utilities.sleep(CONFIG.API_DELAY_MS);
+      }
+    } catch (error) {
+      // Bad key or model: stop here so the job can be resumed once it's fixed
+      if (error.fatal) {
+        throw error;
+      }
+      Logger.log(
+        `Error processing batch starting at row ${batchRows[0]}: ${error.message}`,
+      );
+      errorCount += batchRows.length;
+    }
+
+    nextIndex = i + batchRows.length;
+    if (options && options.onBatch) {
+      options.onBatch({
+        nextIndex,
+        success: successCount - successBefore,
+        errors: errorCount - errorsBefore,
+        retries: AI_REQUEST_STATS.retries - retriesBefore,
+        cached: cachedRows,
+        disagreed: disagreedCount - disagreedBefore,
+        escalated: escalatedCount - escalatedBefore,
+      });
+    }
+  }
+
+  return { success: successCount, errors: errorCount, nextIndex };
+}
+
+/**
+ * Builds a batch message with multiple rows
+ */
+function buildBatchMessage(batchData) {
+  let message =
+    "Analyze the following VPAT entries and return a JSON object with their interpretations:\n\n";
+
+  batchData.forEach((item, index) => {
+    message += `Entry ${index}:\n`;
+    if (item.criteria) {
+      message += `Criteria: ${item.criteria}\n`;
+    }
+    message += `Conformance Level: ${item.conformanceLevel}\n`;
+    message += `Remarks: ${item.remarks}\n\n`;
+  });
+
+  message += `Return a JSON object {"items": [...]} with one object per entry, in the same order, with this structure for each ("entry" is the entry number):
+{
+  "entry": 0,
+  "conformanceLevel": "Supports|Partially Supports|Does Not Support|Not Applicable|Not Evaluated",
+  "web": "...",
+  "electronicDocs": "...",
+  "software": "...",
+  "closed": "...",
+  "authoring": "...",
+  "comment": "Brief explanation of interpretation",
+  "confidence": 85
+}`;
+
+  return message;
+}
+
+/**
+ * Writes interpreted values to the sheet grid (written back by the caller)
+ * @param {Object} grid - Sheet grid from readSheetGrid
+ * @param {Object} columnMap - Column index mapping
+ * @param {number} rowNum - Sheet row number
+ * @param {Object} interpretation - AI response for the row
+ * @param {number} confidenceThreshold - Confidence below which the row needs review
+ * @param {string} extractionNote - The row's Extraction Note, if any
+ * @param {string} source - Interpretation Source value (CONFIG.INTERPRETATION_SOURCES)
+ */
+function writeInterpretedValues(
+  grid,
+  columnMap,
+  rowNum,
+  interpretation,
+  confidenceThreshold,
+  extractionNote,
+  source,
+) {
+  // Validate and write each field
+  for (const field of getInterpretedFields(columnMap)) {
+    let value = interpretation[field.key] || "";
+
+    // Log the raw value received from AI
+    if (value) {
+      Logger.log(`Row ${rowNum}, ${field.key}: Raw AI value = "${value}"`);
+    }
+
+    // Normalize the value to handle AI variations
+    const normalizedValue = normalizeConformanceValue(value);
+
+    // Validate against allowed values
+    if (
+      normalizedValue &&
+      !CONFIG.VALID_CONFORMANCE_VALUES.includes(normalizedValue)
+    ) {
+      Logger.log(
+        `Row ${rowNum}: INVALID value "${value}" (normalized: "${normalizedValue}") for ${field.key}. Defaulting to "Not Evaluated".`,
+      );
+      // Instead of leaving empty, use "Not Evaluated" as fallback
+      setGridValue(grid, rowNum, field.col, "Not Evaluated");
+    } else if (normalizedValue) {
+      // Log if normalization changed the value
+      if (normalizedValue !== value) {
+        Logger.log(
+          `Row ${rowNum}: Normalized "${value}" -> "${normalizedValue}" for ${field.key}`,
+        );
+      }
+      setGridValue(grid, rowNum, field.col, normalizedValue);
+    } else {
+      // Empty value - use "Not Evaluated" instead of leaving blank
+      Logger.log(
+        `Row ${rowNum}: Empty value for ${field.key}, using "Not Evaluated"`,
+      );
+      setGridValue(grid, rowNum, field.col, "Not Evaluated");
+    }
+  }
+
+  // Check confidence and set Needs Review checkbox
+  const confidence = parseInt(interpretation.confidence, 10) || 0;
+  const lowConfidence = confidence < confidenceThreshold;
+
+  // Rows flagged during extraction (e.g. rebuilt from text layout) stay flagged
+  const needsReview = lowConfidence || Boolean(extractionNote);
+
+  Logger.log(
+    `Row ${rowNum}: Confidence=${confidence}, Threshold=${confidenceThreshold}, NeedsReview=${needsReview}`,
+  );
+
+  // Write AI Comment ONLY when needs review is flagged
+  let comment = "";
+  if (lowConfidence) {
+    comment = interpretation.comment || "Low confidence - please review";
+  } else if (needsReview) {
+    comment = interpretation.comment || "";
+  }
+  setGridValue(grid, rowNum, columnMap.AI_COMMENT, comment);
+
+  setGridValue(grid, rowNum, columnMap.NEEDS_REVIEW, needsReview);
+
+  if (columnMap.INTERPRETATION_SOURCE) {
+    setGridValue(grid, rowNum, columnMap.INTERPRETATION_SOURCE, source);
+  }
+  // Set again by writeModelAgreement and writeAnswerModel for AI answers
+  for (const key of [
+    "MODEL_AGREEMENT",
+    "ANSWER_MODEL",
+    "ANSWER_CONFIDENCE",
+    "INITIAL_CONFIDENCE",
+  ]) {
+    if (columnMap[key]) {
+      setGridValue(grid, rowNum, columnMap[key], "");
+    }
+  }
+}
+
+/**
+ * Lists the interpreted columns with the response field that fills each
+ * @param {Object} columnMap - Column index mapping
+ * @returns {Array<{key: string, col: number}>} Field key and column index pairs
+ */
+function getInterpretedFields(columnMap) {
+  return [
+    { key: "conformanceLevel", col: columnMap.CONFORMANCE_INTERPRETED },
+    { key: "web", col: columnMap.WEB_INTERPRETED },
+    { key: "electronicDocs", col: columnMap.ELECTRONIC_DOCS_INTERPRETED },
+    { key: "software", col: columnMap.SOFTWARE_INTERPRETED },
+    { key: "closed", col: columnMap.CLOSED_INTERPRETED },
+    { key: "authoring", col: columnMap.AUTHORING_INTERPRETED },
+  ];
+}
+
+/*******************************************************
+ * RULE-BASED INTERPRETATION
+ *******************************************************/
+
+/**
+ * Interprets clear-cut rows without AI and returns the rows left for AI
+ * Resolved rows get the same value for every product type at 100% confidence
+ * and "Rules" in the Interpretation Source column.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet
+ * @param {Object} columnMap - Column index mapping (Interpretation Source is
+ *   added when missing)
+ * @param {number[]} rowNumbers - Rows to interpret
+ * @param {number} confidenceThreshold - Confidence below which rows need review
+ * @returns {Object} { resolved: number of rows interpreted, aiRows: rows that need AI }
+ */
+function interpretRowsByRules(
+  sheet,
+  columnMap,
+  rowNumbers,
+  confidenceThreshold,
+) {
+  if (!CONFIG.RULE_INTERPRETATION.ENABLED || rowNumbers.length === 0) {
+    return { resolved: 0, aiRows: rowNumbers };
+  }
+
+  // Step 1: Classify each row from its conformance and remarks cells
+  const firstRow = Math.min(...rowNumbers);
+  const lastRow = Math.max(...rowNumbers);
+  const inputs = readSheetGrid(sheet, firstRow, lastRow, [
+    columnMap.CONFORMANCE_LEVEL,
+    columnMap.REMARKS,
+    columnMap.EXTRACTION_NOTE,
+  ]);
+  const resolved = [];
+  const aiRows = [];
+  for (const rowNum of rowNumbers) {
+    const interpretation = interpretRowByRules(
+      String(getGridValue(inputs, rowNum, columnMap.CONFORMANCE_LEVEL) || ""),
+      String(getGridValue(inputs, rowNum, columnMap.REMARKS) || "").trim(),
+    );
+    if (interpretation) {
+      resolved.push({ rowNum, interpretation });
+    } else {
+      aiRows.push(rowNum);
+    }
+  }
+
+  // Step 2: Write the resolved rows
+  if (resolved.length > 0) {
+    ensureOptionalColumns(sheet, columnMap, ["INTERPRETATION_SOURCE"]);
+    const outputs = readSheetGrid(
+      sheet,
+      firstRow,
+      lastRow,
+      [
+        columnMap.AI_COMMENT,
+        columnMap.NEEDS_REVIEW,
+        columnMap.INTERPRETATION_SOURCE,
+        columnMap.MODEL_AGREEMENT,
+        columnMap.ANSWER_MODEL,
+        columnMap.ANSWER_CONFIDENCE,
+        columnMap.INITIAL_CONFIDENCE,
+      ].concat(getInterpretedFields(columnMap).map((field) => field.col)),
+    );
+    for (const { rowNum, interpretation } of resolved) {
+      writeInterpretedValues(
+        outputs,
+        columnMap,
+        rowNum,
+        interpretation,
+        confidenceThreshold,
+        String(getGridValue(inputs, rowNum, columnMap.EXTRACTION_NOTE) || ""),
+        CONFIG.INTERPRETATION_SOURCES.RULES,
+      );
+    }
+    writeSheetGrid(outputs);
+  }
+
+  Logger.log(
+    `${resolved.length} rows interpreted by rules, ${aiRows.length} left for AI`,
+  );
+  return { resolved: resolved.length, aiRows };
+}
+
+/**
+ * Interprets one row when its conformance is clear-cut
+ * Clear-cut means a single unlabelled conformance term whose remarks neither
+ * name a product type nor qualify the term, and for "Not Applicable", remarks
+ * that give a reason.
+ * @param {string} conformanceText - Conformance Level cell
+ * @param {string} remarks - Remarks cell
+ * @returns {Object|null} Interpretation in the AI answer format, or null when
+ *   the row needs AI
+ */
+function interpretRowByRules(conformanceText, remarks) {
+  const rules = CONFIG.RULE_INTERPRETATION;
+
+  // Step 1: One unlabelled conformance value for all product types
+  const value = getSingleConformanceValue(conformanceText);
+  if (!value) {
+    return null;
+  }
+
+  // Step 2: Remarks that mention product types or qualify the value need AI
+  if (
+    rules.PLATFORM_PATTERN.test(remarks) ||
+    rules.QUALIFIER_PATTERNS[value].test(remarks)
+  ) {
+    return null;
+  }
+  if (
+    value === "Not Applicable" &&
+    !rules.NOT_APPLICABLE_REASON_PATTERN.test(remarks)
+  ) {
+    return null;
+  }
+
+  return {
+    conformanceLevel: value,
+    web: value,
+    electronicDocs: value,
+    software: value,
+    closed: value,
+    authoring: value,
+    comment: `Interpreted by rules: "${value}" for all product types`,
+    confidence: 100,
+  };
+}
+
+/**
+ * Reads a conformance cell that is a single unlabelled term ("Supports", "N/A")
+ * Cells with product-type labels or several statements are left to
+ * parsePlatformConformance and AI, since a label only speaks for its own
+ * product type. Terms are matched with normalizeConformanceValue.
+ * @param {string} text - Conformance Level cell
+ * @returns {string|null} Valid conformance value, or null when the cell isn't one term
+ */
+function getSingleConformanceValue(text) {
+  const term = String(text || "")
+    .trim()
+    .replace(/[.\s]+$/, "");
+  if (!term || /[\n;:]/.test(term)) {
+    return null;
+  }
+
+  const value = normalizeConformanceValue(term);
+  return CONFIG.VALID_CONFORMANCE_VALUES.includes(value) ? value : null;
+}
+
+/*******************************************************
+ * MULTI-MODEL CONSENSUS
+ *******************************************************/
+
+/**
+ * Builds the settings of every model in consensus mode, starting with the
+ * task's own model, followed by each model in Consensus Models
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet
+ * @param {Object} primary - From getAIProviderSettings
+ * @returns {Array<Object>} Settings of each model, or [] when consensus is off
+ */
+function getConsensusSettings(spreadsheet, primary) {
+  if (!primary.consensusModels) {
+    return [];
+  }
+
+  const setting = `"${CONFIG.AI_TASK_SETTINGS.ROWS.consensusModels}" in the "${CONFIG.AI_PROVIDER_SHEET_NAME}" sheet`;
+  const models = [primary];
+  const entries = primary.consensusModels
+    .split(/[\n,;]+/)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  for (const entry of entries) {
+    const settings = getModelSettings(spreadsheet, primary, entry, setting);
+    if (
+      models.some(
+        (model) =>
+          model.provider === settings.provider &&
+          model.model === settings.model,
+      )
+    ) {
+      throw createFatalError(
+        `${describeModel(settings)} is listed twice in ${setting} (or is the task's own model).`,
+      );
+    }
+    models.push(settings);
+  }
+
+  Logger.log(`Consensus mode: ${models.map(describeModel).join(", ")}`);
+  return models.length > 1 ? models : [];
+}
+
+/**
+ * Compares the answers of the consensus models for one row
+ * Values are compared per product type after normalizeConformanceValue.
+ * @param {Array<Object>} answers - { label, item } for each model, in
+ *   consensus order (item is null when the model gave no valid answer)
+ * @returns {Object} { agreed: true, false or null (fewer than two answers),
+ *   summary: Model Agreement text, comment: AI Comment text when they disagree }
+ */
+function compareModelAnswers(answers) {
+  const fields = CONFIG.CONSENSUS.FIELDS;
+  const answered = answers.filter((answer) => answer.item);
+  const missing = answers
+    .filter((answer) => !answer.item)
+    .map((answer) => answer.label);
+  const noAnswer =
+    missing.length > 0 ? `; no answer from ${missing.join(", ")}` : "";
+
+  if (answered.length < 2) {
+    return {
+      agreed: null,
+      summary: `Not compared${noAnswer}`,
+      comment: "",
+    };
+  }
+
+  const differing = Object.keys(fields).filter(
+    (key) =>
+      new Set(
+        answered.map((answer) => normalizeConformanceValue(answer.item[key])),
+      ).size > 1,
+  );
+  if (differing.length === 0) {
+    return {
+      agreed: true,
+      summary: `Agreed (${answered.length} models)${noAnswer}`,
+      comment: "",
+    };
+  }
+
+  const labels = differing.map((key) => fields[key]).join(", ");
+  const details = answered.map((answer) => {
+    const values = differing
+      .map(
+        (key) =>
+          `${fields[key]}: ${normalizeConformanceValue(answer.item[key])}`,
+      )
+      .join(", ");
+    return `${answer.label} (confidence ${answer.item.confidence}): ${values}. ${answer.item.comment}`;
+  });
+  return {
+    agreed: false,
+    summary: `Disagreed on ${labels}${noAnswer}`,
+    comment: `Models disagree on ${labels}.\n${details.join("\n")}`,
+  };
+}
+
+/**
+ * Writes the Model Agreement of a row; disagreement forces Needs Review and
+ * replaces the AI Comment with each model's answer
+ * @param {Object} grid - Sheet grid from readSheetGrid
+ * @param {Object} columnMap - Column index mapping
+ * @param {number} rowNum - Sheet row number
+ * @param {Object} comparison - From compareModelAnswers
+ */
+function writeModelAgreement(grid, columnMap, rowNum, comparison) {
+  setGridValue(grid, rowNum, columnMap.MODEL_AGREEMENT, comparison.summary);
+  if (comparison.agreed === false) {
+    setGridValue(grid, rowNum, columnMap.NEEDS_REVIEW, true);
+    setGridValue(grid, rowNum, columnMap.AI_COMMENT, comparison.comment);
+  }
+  Logger.log(`Row ${rowNum}: ${comparison.summary}`);
+}
+
+/**
+ * Names a model for logs and comments
+ * @param {Object} settings - From getAIProviderSettings
+ * @returns {string} e.g. "OpenAI gpt-4o-mini"
+ */
+function describeModel(settings) {
+  return `${AI_PROVIDERS[settings.provider].label} ${settings.model}`;
+}
+
+/*******************************************************
+ * LOW-CONFIDENCE ESCALATION
+ *******************************************************/
+
+/**
+ * Builds the settings of the Escalation Model
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - The spreadsheet
+ * @param {Object} primary - From getAIProviderSettings
+ * @returns {Object|null} Settings of the stronger model, or null when escalation is off
+ */
+function getEscalationSettings(spreadsheet, primary) {
+  const entry = primary.escalationModel.trim();
+  if (!entry) {
+    return null;
+  }
+
+  const setting = `"${CONFIG.AI_TASK_SETTINGS.ROWS.escalationModel}" in the "${CONFIG.AI_PROVIDER_SHEET_NAME}" sheet`;
+  const settings = getModelSettings(spreadsheet, primary, entry, setting);
+  if (
+    settings.provider === primary.provider &&
+    settings.model === primary.model
+  ) {
+    throw createFatalError(
+      `${describeModel(settings)} in ${setting} is the task's own model; name a stronger model.`,
+    );
+  }
+  Logger.log(
+    `Escalation: rows below the confidence threshold are asked again with ${describeModel(settings)}`,
+  );
+  return settings;
+}
+
+/**
+ * Asks the Escalation Model again for the entries answered below the
+ * confidence threshold
+ * A request that fails keeps the first answers rather than failing the batch.
+ * @param {string} systemPrompt - Interpretation prompt
+ * @param {Array<Object>} entries - Batch entries
+ * @param {Array<Object|null>} items - First answers (from requestStructuredItems)
+ * @param {number} confidenceThreshold - Confidence below which rows are escalated
+ * @param {Object} escalation - From getEscalationSettings
+ * @param {function(Object): string} getCacheInput - See requestStructuredItems
+ * @param {number} [deadline] - Time (ms) after which the rows aren't asked again
+ * @returns {Object} { items: escalated answer per entry (null when not escalated
+ *   or without a valid answer), escalated: number of entries asked again }
+ */
+function requestEscalatedItems(
+  systemPrompt,
+  entries,
+  items,
+  confidenceThreshold,
+  escalation,
+  getCacheInput,
+  deadline,
+) {
+  const escalatedItems = entries.map(() => null);
+  const indexes = entries
+    .map((entry, index) => index)
+    .filter(
+      (index) =>
+        items[index] &&
+        (parseInt(items[index].confidence, 10) || 0) < confidenceThreshold,
+    );
+  if (indexes.length === 0) {
+    return { items: escalatedItems, escalated: 0 };
+  }
+  if (Date.now() > (deadline || Infinity)) {
+    Logger.log(
+      `Time limit reached; keeping the first answer for ${indexes.length} low-confidence rows`,
+    );
+    return { items: escalatedItems, escalated: 0 };
+  }
+
+  Logger.log(
+    `Asking ${describeModel(escalation)} again for ${indexes.length} low-confidence rows`,
+  );
+  try {
+    const result = requestStructuredItems(
+      systemPrompt,
+      indexes.map((index) => entries[index]),
+      CONFIG.JOBS.STEPS.INTERPRET,
+      buildBatchMessage,
+      (entry, index) => index,
+      getCacheInput,
+      escalation,
+      deadline,
+    );
+    indexes.forEach((entryIndex, k) => {
+      escalatedItems[entryIndex] = result.items[k];
+    });
+  } catch (error) {
+    if (error.fatal) {
+      throw error;
+    }
+    Logger.log(`${describeModel(escalation)} failed: ${error.message}`);
+  }
+  return { items: escalatedItems, escalated: indexes.length };
+}
+
+/**
+ * Writes the model whose answer was accepted for a row and its confidence
+ * @param {Object} grid - Sheet grid from readSheetGrid
+ * @param {Object} columnMap - Column index mapping
+ * @param {number} rowNum - Sheet row number
+ * @param {Object} settings - Settings of the model that gave the answer
+ * @param {Object} interpretation - Accepted answer
+ * @param {Object|null} firstAnswer - Answer it replaced, when the row was escalated
+ */
+function writeAnswerModel(
+  grid,
+  columnMap,
+  rowNum,
+  settings,
+  interpretation,
+  firstAnswer,
+) {
+  setGridValue(grid, rowNum, columnMap.ANSWER_MODEL, describeModel(settings));
+  setGridValue(
+    grid,
+    rowNum,
+    columnMap.ANSWER_CONFIDENCE,
+    parseInt(interpretation.confidence, 10) || 0,
+  );
+  if (columnMap.INITIAL_CONFIDENCE) {
+    setGridValue(
+      grid,
+      rowNum,
+      columnMap.INITIAL_CONFIDENCE,
+      firstAnswer ? parseInt(firstAnswer.confidence, 10) || 0 : "",
     );
-    return "OPENAI";
   }
 }
 
+/*******************************************************
+ * AI REQUESTS WITH RETRY
+ *******************************************************/
+
+// Requests and retries made by this execution (reported in the run summary)
+const AI_REQUEST_STATS = { requests: 0, retries: 0 };
+
 /**
- * Gets the confidence threshold from the Prompts sheet
+ * Sends an AI API request, retrying rate limits, server and network errors
+ * with exponential backoff and jitter. A Retry-After header sets the wait.
+ * Errors that no retry can fix (bad API key, unknown model) are thrown with
+ * error.fatal = true so callers stop the run instead of failing every batch.
+ * @param {string} apiName - Name used in logs and error messages (e.g. "OpenAI API")
+ * @param {string} url - Request URL
+ * @param {Object} options - UrlFetchApp options (muteHttpExceptions is forced on)
+ * @param {number} [timeoutMs] - Time allowed for all attempts; no retry starts
+ *   after it (UrlFetchApp can't cut off a request that is already waiting)
+ * @returns {string} Body of the 200 response
  */
-function getConfidenceThreshold(spreadsheet) {
-  try {
-    const promptsSheet = spreadsheet.getSheetByName(CONFIG.PROMPTS_SHEET_NAME);
+function fetchAIResponse(apiName, url, options, timeoutMs) {
+  const retry = CONFIG.RETRY;
+  const fetchOptions = Object.assign({}, options, { muteHttpExceptions: true });
+  const giveUpAt = Date.now() + (timeoutMs || Infinity);
 
-    if (!promptsSheet) {
-      return CONFIG.DEFAULT_CONFIDENCE_THRESHOLD;
+  for (let attempt = 1; ; attempt++) {
+    AI_REQUEST_STATS.requests++;
+
+    let response = null;
+    let failure = "";
+    try {
+      response = UrlFetchApp.fetch(url, fetchOptions);
+    } catch (fetchError) {
+      // Timeouts, DNS and connection errors; a malformed URL or header won't improve.
+      // The message can quote the request, so keys are redacted.
+      const fetchMessage = redactAPIKeys(fetchError.message);
+      if (/bad request|invalid argument/i.test(fetchMessage)) {
+        throw createFatalError(`${apiName} request rejected: ${fetchMessage}`);
+      }
+      failure = `Failed to connect to ${apiName}: ${fetchMessage}`;
     }
 
-    const data = promptsSheet.getDataRange().getValues();
+    if (response) {
+      const statusCode = response.getResponseCode();
+      const responseText = response.getContentText();
+      Logger.log(`${apiName} response status: ${statusCode}`);
 
-    // Find the confidence level setting (skip header row)
-    for (let i = 1; i < data.length; i++) {
-      const promptName = data[i][CONFIG.PROMPT_NAME_COLUMN - 1];
-      const promptText = data[i][CONFIG.PROMPT_TEXT_COLUMN - 1];
+      if (statusCode === 200) {
+        return responseText;
+      }
 
-      if (promptName === CONFIG.CONFIDENCE_LEVEL_NAME) {
-        const threshold = parseInt(promptText, 10);
-        if (!isNaN(threshold) && threshold >= 0 && threshold <= 100) {
-          Logger.log(`Using confidence threshold: ${threshold}`);
-          return threshold;
-        }
+      failure = `${apiName} returned ${statusCode}. Details: ${formatErrorDetails(responseText)}`;
+      if (
+        retry.FATAL_STATUS_CODES.includes(statusCode) ||
+        (statusCode === 400 && retry.FATAL_ERROR_PATTERN.test(responseText))
+      ) {
+        throw createFatalError(
+          `${failure} (check the API key and model in the "${CONFIG.AI_PROVIDER_SHEET_NAME}" sheet)`,
+        );
       }
+      if (!retry.RETRYABLE_STATUS_CODES.includes(statusCode)) {
+        throw new Error(failure);
+      }
+    }
+
+    if (attempt >= retry.MAX_ATTEMPTS) {
+      throw new Error(`${failure} (gave up after ${attempt} attempts)`);
     }
 
+    const delayMs = getRetryDelay(attempt, response);
+    if (Date.now() + delayMs > giveUpAt) {
+      throw new Error(
+        `${failure} (timed out after ${attempt} attempts, ${Math.round(timeoutMs / 1000)} s)`,
+      );
+    }
     Logger.log(
-      `Confidence threshold not found, using default: ${CONFIG.DEFAULT_CONFIDENCE_THRESHOLD}`,
+      `${failure} - retry ${attempt} of ${retry.MAX_ATTEMPTS - 1} in ${delayMs} ms`,
     );
-    return CONFIG.DEFAULT_CONFIDENCE_THRESHOLD;
-  } catch (error) {
-    Logger.log(`Error reading confidence threshold: ${error.message}`);
-    return CONFIG.DEFAULT_CONFIDENCE_THRESHOLD;
+    AI_REQUEST_STATS.retries++;
+    Utilities.sleep(delayMs);
   }
 }
 
 /**
- * Normalizes conformance value to handle AI response variations
- * @param {string} value - Raw value from AI
- * @returns {string} Normalized valid conformance value or original if already valid
+ * Creates an error that stops the whole run (see fetchAIResponse)
+ * @param {string} message - Error message
+ * @returns {Error} Error with fatal = true
  */
-function normalizeConformanceValue(value) {
-  if (!value) return "";
+function createFatalError(message) {
+  const error = new Error(message);
+  error.fatal = true;
+  return error;
+}
 
-  const normalized = String(value).trim();
+/**
+ * Works out how long to wait before retrying a failed request
+ * Uses the Retry-After (or retry-after-ms) header when the API sends one,
+ * otherwise exponential backoff with jitter. Both are capped at MAX_DELAY_MS.
+ * @param {number} attempt - Number of the attempt that failed (1 = first try)
+ * @param {HTTPResponse|null} response - Failed response (null on network errors)
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt, response) {
+  const retry = CONFIG.RETRY;
+
+  if (response) {
+    const headers = {};
+    const rawHeaders = response.getHeaders() || {};
+    for (const name of Object.keys(rawHeaders)) {
+      headers[name.toLowerCase()] = String(rawHeaders[name]);
+    }
 
-  // Check if already valid (exact match with proper capitalization)
-  if (CONFIG.VALID_CONFORMANCE_VALUES.includes(normalized)) {
-    return normalized;
+    let retryAfterMs = NaN;
+    if (headers["retry-after-ms"]) {
+      retryAfterMs = parseFloat(headers["retry-after-ms"]);
+    } else if (headers["retry-after"]) {
+      // Either a number of seconds or an HTTP date
+      const value = headers["retry-after"].trim();
+      retryAfterMs = /^\d+(\.\d+)?$/.test(value)
+        ? parseFloat(value) * 1000
+        : Date.parse(value) - Date.now();
+    }
+    if (!isNaN(retryAfterMs)) {
+      return Math.min(Math.max(Math.ceil(retryAfterMs), 0), retry.MAX_DELAY_MS);
+    }
   }
 
-  // Normalize common variations (case-insensitive matching)
-  const lowerValue = normalized.toLowerCase();
+  // Random wait between half and all of the doubled delay
+  const backoff = Math.min(
+    retry.BASE_DELAY_MS * Math.pow(2, attempt - 1),
+    retry.MAX_DELAY_MS,
+  );
+  return Math.round(backoff / 2 + (Math.random() * backoff) / 2);
+}
 
-  // Map variations to correct values
-  const mappings = {
-    // Supports variations
-    supports: "Supports",
-    support: "Supports",
-    yes: "Supports",
-    supported: "Supports",
+/**
+ * Pretty-prints a JSON error body, or returns the body unchanged
+ * Some APIs echo the key they rejected, so keys are redacted here too (error
+ * messages also end up in job status and toasts, not just logs).
+ * @param {string} responseText - Response body
+ * @returns {string} Error details for messages and logs
+ */
+function formatErrorDetails(responseText) {
+  let details = responseText;
+  try {
+    details = JSON.stringify(JSON.parse(responseText), null, 2);
+  } catch (e) {
+    // Response is not JSON
+  }
+  return redactAPIKeys(details);
+}
 
-    // Partially Supports variations
-    "partially supports": "Partially Supports",
-    "partial supports": "Partially Supports",
-    "partially support": "Partially Supports",
-    "partial support": "Partially Supports",
-    partially: "Partially Supports",
-    partial: "Partially Supports",
-    "supports with exceptions": "Partially Supports",
-    "supports with exception": "Partially Supports",
-    sometimes: "Partially Supports",
+/**
+ * Describes a retry count for the run summary
+ * @param {number} retries - Number of retries
+ * @returns {string} e.g. " (3 API retries)", or "" when there were none
+ */
+function describeRetries(retries) {
+  if (!retries) {
+    return "";
+  }
+  return ` (${retries} API ${retries === 1 ? "retry" : "retries"})`;
+}
 
-    // Does Not Support variations
-    "does not support": "Does Not Support",
-    "doesn't support": "Does Not Support",
-    "does not supports": "Does Not Support",
-    "not supported": "Does Not Support",
-    "not support": "Does Not Support",
-    no: "Does Not Support",
-    fails: "Does Not Support",
-    failed: "Does Not Support",
+/*******************************************************
+ * AI PROVIDER REGISTRY
+ *******************************************************/
 
-    // Not Applicable variations
-    "not applicable": "Not Applicable",
-    "n/a": "Not Applicable",
-    na: "Not Applicable",
-    "not apply": "Not Applicable",
+// Each provider declares how to build a request, where the response text is
+// and how token usage is reported. The AI Provider sheet selects one by name.
+// temperature is the provider default (omitted from requests when not set).
+// Providers with structuredOutput: false get the schema only through the prompt.
+const AI_PROVIDERS = {
+  OPENAI: {
+    label: "OpenAI",
+    names: ["openai", "open ai"],
+    baseUrl: CONFIG.AI_MODEL.OPENAI_BASE_URL,
+    model: CONFIG.AI_MODEL.OPENAI_MODEL,
+    apiKeyProperty: CONFIG.AI_MODEL.OPENAI_API_KEY_PROPERTY,
+    buildRequest: buildOpenAIRequest,
+    parseResponse: parseChatCompletionResponse,
+    getUsage: getChatCompletionUsage,
+  },
+  GEMINI: {
+    label: "Gemini",
+    names: ["gemini", "google gemini"],
+    baseUrl: CONFIG.AI_MODEL.GEMINI_BASE_URL,
+    model: CONFIG.AI_MODEL.GEMINI_MODEL,
+    apiKeyProperty: CONFIG.AI_MODEL.GEMINI_API_KEY_PROPERTY,
+    temperature: 0.2, // Default when the settings table leaves it empty
+    buildRequest: buildGeminiRequest,
+    parseResponse: parseGeminiResponse,
+    getUsage: getGeminiUsage,
+  },
+  ANTHROPIC: {
+    label: "Anthropic",
+    names: ["anthropic", "claude", "anthropic claude"],
+    baseUrl: CONFIG.AI_MODEL.ANTHROPIC_BASE_URL,
+    model: CONFIG.AI_MODEL.ANTHROPIC_MODEL,
+    apiKeyProperty: CONFIG.AI_MODEL.ANTHROPIC_API_KEY_PROPERTY,
+    maxTemperature: 1,
+    buildRequest: buildAnthropicRequest,
+    parseResponse: parseAnthropicResponse,
+    getUsage: getAnthropicUsage,
+  },
+  AZURE_OPENAI: {
+    label: "Azure OpenAI",
+    names: ["azure openai", "azure open ai", "azure"],
+    baseUrl: "", // https://<resource>.openai.azure.com, from the Endpoint cell
+    model: "", // Deployment name, from the Model cell
+    apiKeyProperty: CONFIG.AI_MODEL.AZURE_OPENAI_API_KEY_PROPERTY,
+    buildRequest: buildAzureOpenAIRequest,
+    parseResponse: parseChatCompletionResponse,
+    getUsage: getChatCompletionUsage,
+  },
+  LOCAL: {
+    label: "OpenAI-compatible",
+    names: ["local", "openai-compatible", "openai compatible", "custom"],
+    baseUrl: "", // e.g. https://llm.example.edu/v1, from the Endpoint cell
+    model: "", // From the Model cell
+    apiKeyProperty: CONFIG.AI_MODEL.LOCAL_API_KEY_PROPERTY,
+    apiKeyOptional: true, // Many on-prem servers don't check keys
+    structuredOutput: false, // JSON schema mode varies by server; answers are still validated
+    buildRequest: buildOpenAIRequest,
+    parseResponse: parseChatCompletionResponse,
+    getUsage: getChatCompletionUsage,
+  },
+  CHATGPT: {
+    label: "Portkey Gateway",
+    names: ["chatgpt", "portkey", "nyu", "nyu gateway"],
+    baseUrl: CONFIG.AI_MODEL.CHATGPT_BASE_URL,
+    model: CONFIG.AI_MODEL.CHATGPT_MODEL, // Used exactly as configured (with @ prefix)
+    apiKeyProperty: CONFIG.AI_MODEL.CHATGPT_API_KEY_PROPERTY,
+    buildRequest: buildPortkeyRequest,
+    parseResponse: parseChatCompletionResponse,
+    getUsage: getChatCompletionUsage,
+  },
+};
 
-    // Not Evaluated variations
-    "not evaluated": "Not Evaluated",
-    "not assessed": "Not Evaluated",
-    unevaluated: "Not Evaluated",
-    unknown: "Not Evaluated",
+/**
+ * Sends a prompt to the provider selected in the AI Provider sheet
+ * @param {string} systemPrompt - Instructions for the model
+ * @param {string} userMessage - Batch of entries to answer
+ * @param {string} task - CONFIG.JOBS.STEPS.INTERPRET or CONFIG.JOBS.STEPS.QUALITY
+ *   (selects the model, generation settings and response schema)
+ * @param {Object} [settings] - Model to use instead of the task's own (e.g. a
+ *   consensus model from getConsensusSettings)
+ * @returns {Array<Object>} Answer items from the response (not yet validated; see
+ *   requestStructuredItems). Throws with error.invalidResponse = true when the
+ *   response holds no readable JSON.
+ */
+function callChatGPTForInterpretation(
+  systemPrompt,
+  userMessage,
+  task,
+  settings,
+) {
+  // Get provider from sheet dynamically
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  settings = settings || getAIProviderSettings(ss, task);
+  const provider = AI_PROVIDERS[settings.provider];
+  const apiName = `${provider.label} API`;
+
+  const responseFormat =
+    provider.structuredOutput === false
+      ? null
+      : { name: `vpat_${task}`, schema: getResponseSchema(task) };
+  const request = provider.buildRequest(
+    settings,
+    systemPrompt,
+    userMessage,
+    responseFormat,
+  );
+  const options = Object.assign(
+    {
+      method: "post",
+      contentType: "application/json",
+      headers: request.headers,
+      payload: JSON.stringify(request.payload),
+    },
+    request.options,
+  );
+
+  Logger.log(`Calling ${apiName}, model: ${settings.model}`);
+  Logger.log(`Payload size: ${options.payload.length} bytes`);
+  checkAIBudget(settings, systemPrompt.length + userMessage.length, task);
+
+  const responseText = fetchAIResponse(
+    apiName,
+    request.url,
+    options,
+    settings.timeoutMs,
+  );
+  const data = JSON.parse(responseText);
+
+  const content = provider.parseResponse(data);
+  // Tokens are billed even when the answer turns out to be unusable; they are
+  // estimated from text length when the API doesn't report them
+  const usage = provider.getUsage(data) || {
+    promptTokens: Math.ceil(
+      (systemPrompt.length + userMessage.length) /
+        CONFIG.USAGE_LOG.CHARS_PER_TOKEN,
+    ),
+    completionTokens: Math.ceil(
+      (typeof content === "string" ? content.length : 0) /
+        CONFIG.USAGE_LOG.CHARS_PER_TOKEN,
+    ),
+    estimated: true,
   };
+  Logger.log(
+    `${apiName} usage: ${usage.promptTokens} prompt + ${usage.completionTokens} completion tokens`,
+  );
+  recordAIUsage(settings, task, usage);
 
-  if (mappings[lowerValue]) {
-    return mappings[lowerValue];
+  if (typeof content !== "string") {
+    const error = new Error(
+      `Invalid ${apiName} response structure: ${redactAPIKeys(responseText)}`,
+    );
+    error.invalidResponse = true;
+    throw error;
   }
+  Logger.log(`AI Response length: ${content.length} characters`);
+  Logger.log(
+    `AI Response (first 500 chars): ${redactAPIKeys(content.substring(0, 500))}`,
+  );
 
-  // If no mapping found, return original value (will be logged as invalid)
-  return normalized;
+  return parseAIResponseContent(content, apiName);
 }
 
 /**
- * Finds rows that have conformance data (from extraction)
+ * Parses the JSON answer in a model's response text
+ * Structured output returns { items: [...] }; a bare array or object (from
+ * providers without schema mode) is accepted too. Code fences are stripped.
+ * @param {string} content - Response text
+ * @param {string} apiName - Name used in log and error messages
+ * @returns {Array<Object>} Answer items
  */
-function findRowsWithConformanceData(sheet, columnMap, startRow, endRow) {
-  const conformanceCol = columnMap.CONFORMANCE_LEVEL;
-  const numRows = endRow - startRow + 1;
+function parseAIResponseContent(content, apiName) {
+  // Strip markdown code fences if present
+  let cleanContent = content.trim();
+  if (cleanContent.startsWith("```")) {
+    cleanContent = cleanContent.replace(/^```(?:json)?\s*\n?/, "");
+    cleanContent = cleanContent.replace(/\n?```\s*$/, "");
+  }
 
-  const conformanceData = sheet
-    .getRange(startRow, conformanceCol, numRows, 1)
-    .getValues();
+  let parsed;
+  try {
+    parsed = JSON.parse(cleanContent);
+  } catch (e) {
+    // Usually an answer cut off by the output token limit; the entries are re-requested
+    Logger.log(`Full response for debugging: ${redactAPIKeys(cleanContent)}`);
+    const error = new Error(
+      `Failed to parse ${apiName} response as JSON. Response length: ${content.length} chars. Parse error: ${e.message}`,
+    );
+    error.invalidResponse = true;
+    throw error;
+  }
 
-  const rowsToProcess = [];
+  const itemsField = CONFIG.STRUCTURED_OUTPUT.ITEMS_FIELD;
+  if (Array.isArray(parsed)) {
+    return parsed;
+  } else if (parsed && Array.isArray(parsed[itemsField])) {
+    return parsed[itemsField];
+  }
+  return [parsed];
+}
 
-  for (let i = 0; i < conformanceData.length; i++) {
-    const value = conformanceData[i][0];
-    // Check if cell has data (not empty)
-    if (value && String(value).trim() !== "") {
-      rowsToProcess.push(startRow + i);
-    }
+/**
+ * Builds the system + user messages of a chat completions request
+ */
+function buildChatMessages(systemPrompt, userMessage) {
+  return [
+    { role: "system", content: systemPrompt },
+    { role: "user", content: userMessage },
+  ];
+}
+
+/**
+ * Adds a strict JSON schema response format to a chat completions payload
+ * @param {Object} payload - Request payload
+ * @param {Object|null} responseFormat - { name, schema } or null for free text
+ * @returns {Object} The payload
+ */
+function addChatResponseFormat(payload, responseFormat) {
+  if (responseFormat) {
+    payload.response_format = {
+      type: "json_schema",
+      json_schema: {
+        name: responseFormat.name,
+        strict: true,
+        schema: convertSchemaForProvider(responseFormat.schema, "openai"),
+      },
+    };
   }
+  return payload;
+}
 
-  return rowsToProcess;
+/**
+ * Adds temperature to a request payload when one is set
+ * @param {Object} payload - Request payload
+ * @param {string} field - Payload field name for the temperature
+ * @param {number|null} temperature - Temperature setting
+ * @returns {Object} The payload
+ */
+function addTemperature(payload, field, temperature) {
+  if (temperature !== null && temperature !== undefined) {
+    payload[field] = temperature;
+  }
+  return payload;
 }
 
 /**
- * Processes rows with AI to interpret conformance levels
+ * Builds an OpenAI (or OpenAI-compatible server) chat completions request
+ * @param {Object} settings - { apiKey, baseUrl, model, temperature, maxTokens }
+ *   from getAIProviderSettings
+ * @param {string} systemPrompt - Instructions for the model
+ * @param {string} userMessage - Batch of entries to answer
+ * @param {Object|null} responseFormat - { name, schema } for structured output
+ * @returns {Object} { url, headers, payload, options? }
  */
-function processRowsWithAI(
-  sheet,
-  columnMap,
-  rowNumbers,
+function buildOpenAIRequest(
+  settings,
   systemPrompt,
-  confidenceThreshold,
+  userMessage,
+  responseFormat,
 ) {
-  let successCount = 0;
-  let errorCount = 0;
+  return {
+    url: `${settings.baseUrl}/chat/completions`,
+    headers: settings.apiKey
+      ? { Authorization: `Bearer ${settings.apiKey}` }
+      : {},
+    payload: addChatResponseFormat(
+      addTemperature(
+        {
+          model: settings.model,
+          messages: buildChatMessages(systemPrompt, userMessage),
+          max_tokens: settings.maxTokens,
+        },
+        "temperature",
+        settings.temperature,
+      ),
+      responseFormat,
+    ),
+  };
+}
 
-  // Determine batch size (0 = process all at once)
-  const batchSize = CONFIG.BATCH_SIZE || rowNumbers.length;
+/**
+ * Builds an Azure OpenAI request; the model setting is the deployment name
+ */
+function buildAzureOpenAIRequest(
+  settings,
+  systemPrompt,
+  userMessage,
+  responseFormat,
+) {
+  const deployment = encodeURIComponent(settings.model);
+  return {
+    url: `${settings.baseUrl}/openai/deployments/${deployment}/chat/completions?api-version=${CONFIG.AI_MODEL.AZURE_API_VERSION}`,
+    headers: { "api-key": settings.apiKey },
+    payload: addChatResponseFormat(
+      addTemperature(
+        {
+          messages: buildChatMessages(systemPrompt, userMessage),
+          max_tokens: settings.maxTokens,
+        },
+        "temperature",
+        settings.temperature,
+      ),
+      responseFormat,
+    ),
+  };
+}
 
-  // Process in batches
-  for (let i = 0; i < rowNumbers.length; i += batchSize) {
-    const batchRows = rowNumbers.slice(i, i + batchSize);
+/**
+ * Builds a Portkey Gateway (NYU) request
+ * Portkey only requires the x-portkey-api-key header; the provider info is
+ * embedded in the model string (e.g. @openai-nyu-it-d-5b382a/gpt-4o-mini)
+ */
+function buildPortkeyRequest(
+  settings,
+  systemPrompt,
+  userMessage,
+  responseFormat,
+) {
+  return {
+    url: `${settings.baseUrl}/chat/completions`,
+    headers: {
+      "x-portkey-api-key": settings.apiKey,
+      "User-Agent": "Google-Apps-Script",
+    },
+    payload: addChatResponseFormat(
+      addTemperature(
+        {
+          model: settings.model,
+          messages: buildChatMessages(systemPrompt, userMessage),
+          max_tokens: settings.maxTokens,
+        },
+        "temperature",
+        settings.temperature,
+      ),
+      responseFormat,
+    ),
+    options: { validateHttpsCertificates: false },
+  };
+}
 
-    try {
-      // Collect all data for this batch
-      const batchData = [];
-      for (const rowNum of batchRows) {
-        const conformanceLevel = sheet
-          .getRange(rowNum, columnMap.CONFORMANCE_LEVEL)
-          .getValue();
-        const remarks = sheet.getRange(rowNum, columnMap.REMARKS).getValue();
-        const criteria = sheet.getRange(rowNum, columnMap.CRITERIA).getValue();
+/**
+ * Builds a Gemini generateContent request (structured output via responseSchema)
+ */
+function buildGeminiRequest(
+  settings,
+  systemPrompt,
+  userMessage,
+  responseFormat,
+) {
+  const generationConfig = addTemperature(
+    { maxOutputTokens: settings.maxTokens },
+    "temperature",
+    settings.temperature,
+  );
+  if (responseFormat) {
+    generationConfig.responseMimeType = "application/json";
+    generationConfig.responseSchema = convertSchemaForProvider(
+      responseFormat.schema,
+      "gemini",
+    );
+  }
 
-        batchData.push({
-          rowNum: rowNum,
-          criteria: String(criteria || "").trim(),
-          conformanceLevel: String(conformanceLevel || "").trim(),
-          remarks: String(remarks || "").trim(),
-        });
-      }
+  return {
+    url: `${settings.baseUrl}/models/${settings.model}:generateContent`,
+    headers: { "x-goog-api-key": settings.apiKey },
+    // Gemini uses a different format: contents array with parts
+    payload: {
+      contents: [{ parts: [{ text: `${systemPrompt}\n\n${userMessage}` }] }],
+      generationConfig,
+    },
+  };
+}
 
-      // Build batch message
-      const userMessage = buildBatchMessage(batchData);
+/**
+ * Builds an Anthropic Messages API request
+ * Structured output is a single forced tool call whose input is the answer.
+ */
+function buildAnthropicRequest(
+  settings,
+  systemPrompt,
+  userMessage,
+  responseFormat,
+) {
+  const payload = addTemperature(
+    {
+      model: settings.model,
+      system: systemPrompt,
+      messages: [{ role: "user", content: userMessage }],
+      max_tokens: settings.maxTokens,
+    },
+    "temperature",
+    settings.temperature,
+  );
+  if (responseFormat) {
+    const toolName = CONFIG.STRUCTURED_OUTPUT.TOOL_NAME;
+    payload.tools = [
+      {
+        name: toolName,
+        description: "Records the answers for all entries in the request.",
+        input_schema: convertSchemaForProvider(
+          responseFormat.schema,
+          "anthropic",
+        ),
+      },
+    ];
+    payload.tool_choice = { type: "tool", name: toolName };
+  }
 
-      // Call AI once for entire batch
-      showProgress(
-        `Processing batch ${Math.floor(i / batchSize) + 1} of ${Math.ceil(
-          rowNumbers.length / batchSize,
-        )} (${batchData.length} rows)...`,
-      );
-      const batchInterpretations = callChatGPTForInterpretation(
-        systemPrompt,
-        userMessage,
-      );
+  return {
+    url: `${settings.baseUrl}/messages`,
+    headers: {
+      "x-api-key": settings.apiKey,
+      "anthropic-version": CONFIG.AI_MODEL.ANTHROPIC_VERSION,
+    },
+    payload,
+  };
+}
 
-      // Write results for each row in the batch
-      for (let j = 0; j < batchData.length; j++) {
-        const rowNum = batchData[j].rowNum;
-        const interpretation = batchInterpretations[j] || {};
+/**
+ * Gets the answer text of a chat completions response (OpenAI, Azure, compatible servers)
+ * @param {Object} data - Parsed response body
+ * @returns {string|null} Response text, or null if the structure is unexpected
+ */
+function parseChatCompletionResponse(data) {
+  if (!data.choices || !data.choices[0] || !data.choices[0].message) {
+    return null;
+  }
+  return data.choices[0].message.content;
+}
 
-        try {
-          writeInterpretedValues(
-            sheet,
-            columnMap,
-            rowNum,
-            interpretation,
-            confidenceThreshold,
-          );
-          successCount++;
-        } catch (writeError) {
-          Logger.log(`Error writing row ${rowNum}: ${writeError.message}`);
-          errorCount++;
-        }
-      }
+/**
+ * Gets the answer text of a Gemini response
+ * Gemini response structure: { candidates: [{ content: { parts: [{ text: "..." }] } }] }
+ */
+function parseGeminiResponse(data) {
+  if (
+    !data.candidates ||
+    !data.candidates[0] ||
+    !data.candidates[0].content ||
+    !data.candidates[0].content.parts ||
+    !data.candidates[0].content.parts[0]
+  ) {
+    return null;
+  }
+  return data.candidates[0].content.parts[0].text;
+}
 
-      // Rate limiting between batches
-      if (i + batchSize < rowNumbers.length) {
-        Utilities.sleep(CONFIG.API_DELAY_MS);
-      }
-    } catch (error) {
-      Logger.log(
-        `Error processing batch starting at row ${batchRows[0]}: ${error.message}`,
-      );
-      errorCount += batchRows.length;
-    }
+/**
+ * Gets the answer of an Anthropic response: the tool input as JSON text, or
+ * the text blocks joined when no tool was called
+ */
+function parseAnthropicResponse(data) {
+  if (!Array.isArray(data.content)) {
+    return null;
+  }
+  const toolUse = data.content.find((block) => block.type === "tool_use");
+  if (toolUse) {
+    return JSON.stringify(toolUse.input);
   }
+  return data.content
+    .filter((block) => block.type === "text")
+    .map((block) => block.text)
+    .join("");
+}
 
-  return { success: successCount, errors: errorCount };
+/**
+ * Reads token usage from a chat completions response
+ * @param {Object} data - Parsed response body
+ * @returns {Object|null} { promptTokens, completionTokens }, or null if not reported
+ */
+function getChatCompletionUsage(data) {
+  if (!data.usage) {
+    return null;
+  }
+  return {
+    promptTokens: data.usage.prompt_tokens || 0,
+    completionTokens: data.usage.completion_tokens || 0,
+  };
 }
 
 /**
- * Builds a batch message with multiple rows
+ * Reads token usage from a Gemini response
  */
-function buildBatchMessage(batchData) {
-  let message =
-    "Analyze the following VPAT entries and return a JSON array with interpretations:\n\n";
+function getGeminiUsage(data) {
+  if (!data.usageMetadata) {
+    return null;
+  }
+  return {
+    promptTokens: data.usageMetadata.promptTokenCount || 0,
+    completionTokens: data.usageMetadata.candidatesTokenCount || 0,
+  };
+}
 
-  batchData.forEach((item, index) => {
-    message += `Entry ${index}:\n`;
-    if (item.criteria) {
-      message += `Criteria: ${item.criteria}\n`;
-    }
-    message += `Conformance Level: ${item.conformanceLevel}\n`;
-    message += `Remarks: ${item.remarks}\n\n`;
-  });
+/**
+ * Reads token usage from an Anthropic response
+ */
+function getAnthropicUsage(data) {
+  if (!data.usage) {
+    return null;
+  }
+  return {
+    promptTokens: data.usage.input_tokens || 0,
+    completionTokens: data.usage.output_tokens || 0,
+  };
+}
 
-  message += `Return a JSON array (one object per entry, in the same order) with this structure for each:
-{
-  "conformanceLevel": "Supports|Partially Supports|Does Not Support|Not Applicable|Not Evaluated",
-  "web": "...",
-  "electronicDocs": "...",
-  "software": "...",
-  "closed": "...",
-  "authoring": "...",
-  "comment": "Brief explanation of interpretation",
-  "confidence": 85
-}`;
+/*******************************************************
+ * AI USAGE LOG AND BUDGET
+ *******************************************************/
 
-  return message;
+// Running totals of the job step in this execution (see beginAIUsage)
+const AI_USAGE_CONTEXT = { job: null, totals: null };
+
+/**
+ * Starts counting AI usage for a job step
+ * Totals live in job.usage[task]; the job is saved after every call, so they
+ * carry over when the job resumes, even after a run that was cut off.
+ * @param {Object} job - Running job
+ * @param {string} task - CONFIG.JOBS.STEPS.INTERPRET or CONFIG.JOBS.STEPS.QUALITY
+ */
+function beginAIUsage(job, task) {
+  job.usage = job.usage || {}; // Jobs saved by older versions
+  job.usage[task] = job.usage[task] || {
+    calls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    cost: 0,
+    unpriced: 0, // Calls whose model has no known price
+  };
+  AI_USAGE_CONTEXT.job = job;
+  AI_USAGE_CONTEXT.totals = job.usage[task];
 }
 
 /**
- * Writes interpreted values to the sheet
+ * Stops a job before a request that could take it over the budget
+ * The budget covers every step of the job, so a Run All job spends one budget.
+ * The request is costed at its prompt size (CHARS_PER_TOKEN characters per
+ * token) plus the full Max Output Tokens, so the budget is never overrun.
+ * @param {Object} settings - From getAIProviderSettings
+ * @param {number} promptChars - Characters in the system prompt and message
+ * @param {string} task - CONFIG.JOBS.STEPS.INTERPRET or CONFIG.JOBS.STEPS.QUALITY
  */
-function writeInterpretedValues(
-  sheet,
-  columnMap,
-  rowNum,
-  interpretation,
-  confidenceThreshold,
-) {
-  // Validate and write each field
-  const fields = [
-    { key: "conformanceLevel", col: columnMap.CONFORMANCE_INTERPRETED },
-    { key: "web", col: columnMap.WEB_INTERPRETED },
-    { key: "electronicDocs", col: columnMap.ELECTRONIC_DOCS_INTERPRETED },
-    { key: "software", col: columnMap.SOFTWARE_INTERPRETED },
-    { key: "closed", col: columnMap.CLOSED_INTERPRETED },
-    { key: "authoring", col: columnMap.AUTHORING_INTERPRETED },
-  ];
+function checkAIBudget(settings, promptChars, task) {
+  const job = AI_USAGE_CONTEXT.job;
+  if (settings.budget === null || !job) {
+    return;
+  }
+  const spent = Object.values(job.usage).reduce(
+    (sum, totals) => sum + totals.cost,
+    0,
+  );
 
-  for (const field of fields) {
-    let value = interpretation[field.key] || "";
+  const prices = getModelPrices(settings);
+  const worstCase = calculateAICost(prices, {
+    promptTokens: Math.ceil(promptChars / CONFIG.USAGE_LOG.CHARS_PER_TOKEN),
+    completionTokens: settings.maxTokens,
+  });
+  if (spent + worstCase > settings.budget) {
+    throw createFatalError(
+      `Budget of ${formatUSD(settings.budget)} (${CONFIG.AI_TASK_SETTINGS.TASK_COLUMNS[task]}) reached: ` +
+        `${formatUSD(spent)} spent in this job, the next request could cost up to ${formatUSD(worstCase)}. ` +
+        `Raise "${CONFIG.AI_TASK_SETTINGS.ROWS.budget}" in the "${CONFIG.AI_PROVIDER_SHEET_NAME}" sheet.`,
+    );
+  }
+}
 
-    // Log the raw value received from AI
-    if (value) {
-      Logger.log(`Row ${rowNum}, ${field.key}: Raw AI value = "${value}"`);
+/**
+ * Adds one AI call to the step totals and the Usage Log sheet
+ * @param {Object} settings - From getAIProviderSettings
+ * @param {string} task - CONFIG.JOBS.STEPS.INTERPRET or CONFIG.JOBS.STEPS.QUALITY
+ * @param {Object} usage - { promptTokens, completionTokens, estimated }
+ */
+function recordAIUsage(settings, task, usage) {
+  const cost = calculateAICost(getModelPrices(settings), usage);
+
+  const totals = AI_USAGE_CONTEXT.totals;
+  if (totals) {
+    totals.calls++;
+    totals.promptTokens += usage.promptTokens;
+    totals.completionTokens += usage.completionTokens;
+    if (cost === null) {
+      totals.unpriced++;
+    } else {
+      totals.cost += cost;
     }
+    // Saved now, so a run cut off mid-batch still counts toward the budget
+    saveJob(AI_USAGE_CONTEXT.job);
+  }
 
-    // Normalize the value to handle AI variations
-    const normalizedValue = normalizeConformanceValue(value);
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetName = CONFIG.USAGE_LOG.SHEET_NAME;
+  let sheet = ss.getSheetByName(sheetName);
+  if (!sheet) {
+    sheet = ss.insertSheet(sheetName);
+    sheet.appendRow(CONFIG.USAGE_LOG.HEADERS);
+    sheet.setFrozenRows(1);
+  }
+  sheet.appendRow([
+    new Date(),
+    AI_USAGE_CONTEXT.job ? AI_USAGE_CONTEXT.job.id : "",
+    CONFIG.AI_TASK_SETTINGS.TASK_COLUMNS[task] || task,
+    AI_PROVIDERS[settings.provider].label,
+    settings.model,
+    usage.promptTokens,
+    usage.completionTokens,
+    cost === null ? "" : cost,
+    usage.estimated
+      ? "Tokens estimated from text length (not reported by the API)"
+      : cost === null
+        ? "No price for this model"
+        : "",
+  ]);
+}
 
-    // Validate against allowed values
+/**
+ * Gets the price of a model in USD per 1M tokens
+ * Prices set in the AI Provider sheet win over the built-in list, which is
+ * matched on the model name without a gateway prefix (e.g. "@org/gpt-4o-mini")
+ * and with dated suffixes ("gpt-4o-mini-2024-07-18").
+ * @param {Object} settings - From getAIProviderSettings
+ * @returns {Object|null} { input, output }, or null if the price is unknown
+ */
+function getModelPrices(settings) {
+  if (settings.inputPrice !== null && settings.outputPrice !== null) {
+    return { input: settings.inputPrice, output: settings.outputPrice };
+  }
+
+  const model = settings.model.split("/").pop().toLowerCase();
+  let match = "";
+  for (const name of Object.keys(CONFIG.USAGE_LOG.MODEL_PRICES)) {
     if (
-      normalizedValue &&
-      !CONFIG.VALID_CONFORMANCE_VALUES.includes(normalizedValue)
+      (model === name || model.startsWith(`${name}-`)) &&
+      name.length > match.length
     ) {
-      Logger.log(
-        `Row ${rowNum}: INVALID value "${value}" (normalized: "${normalizedValue}") for ${field.key}. Defaulting to "Not Evaluated".`,
-      );
-      // Instead of leaving empty, use "Not Evaluated" as fallback
-      sheet.getRange(rowNum, field.col).setValue("Not Evaluated");
-    } else if (normalizedValue) {
-      // Log if normalization changed the value
-      if (normalizedValue !== value) {
-        Logger.log(
-          `Row ${rowNum}: Normalized "${value}" -> "${normalizedValue}" for ${field.key}`,
-        );
-      }
-      sheet.getRange(rowNum, field.col).setValue(normalizedValue);
-    } else {
-      // Empty value - use "Not Evaluated" instead of leaving blank
-      Logger.log(
-        `Row ${rowNum}: Empty value for ${field.key}, using "Not Evaluated"`,
-      );
-      sheet.getRange(rowNum, field.col).setValue("Not Evaluated");
+      match = name;
     }
   }
+  if (!match) {
+    return null;
+  }
+  const [input, output] = CONFIG.USAGE_LOG.MODEL_PRICES[match];
+  return { input, output };
+}
 
-  // Check confidence and set Needs Review checkbox
-  const confidence = parseInt(interpretation.confidence, 10) || 0;
-  const needsReview = confidence < confidenceThreshold;
+/**
+ * Works out the cost of a call
+ * @param {Object|null} prices - { input, output } in USD per 1M tokens
+ * @param {Object} usage - { promptTokens, completionTokens }
+ * @returns {number|null} Cost in USD, or null if the price is unknown
+ */
+function calculateAICost(prices, usage) {
+  if (!prices) {
+    return null;
+  }
+  return (
+    (usage.promptTokens * prices.input +
+      usage.completionTokens * prices.output) /
+    1000000
+  );
+}
 
-  Logger.log(
-    `Row ${rowNum}: Confidence=${confidence}, Threshold=${confidenceThreshold}, NeedsReview=${needsReview}`,
+/**
+ * Summarizes a job's AI usage for the completion toast
+ * @param {Object} usage - job.usage (totals by task)
+ * @returns {string} e.g. "AI usage: 12 calls, 48,210 tokens, about $0.0132", or ""
+ */
+function describeAIUsage(usage) {
+  const totals = Object.values(usage || {});
+  const calls = totals.reduce((sum, t) => sum + t.calls, 0);
+  if (calls === 0) {
+    return "";
+  }
+  const tokens = totals.reduce(
+    (sum, t) => sum + t.promptTokens + t.completionTokens,
+    0,
   );
+  const cost = totals.reduce((sum, t) => sum + t.cost, 0);
+  const unpriced = totals.reduce((sum, t) => sum + t.unpriced, 0);
 
-  // Write AI Comment ONLY when needs review is flagged
-  const comment = needsReview
-    ? interpretation.comment || "Low confidence - please review"
-    : "";
-  sheet.getRange(rowNum, columnMap.AI_COMMENT).setValue(comment);
+  let summary = `AI usage: ${calls} calls, ${tokens.toLocaleString("en-US")} tokens, about ${formatUSD(cost)}`;
+  if (unpriced > 0) {
+    summary += ` (${unpriced} calls without a known price)`;
+  }
+  return `${summary} (see "${CONFIG.USAGE_LOG.SHEET_NAME}")`;
+}
 
-  sheet.getRange(rowNum, columnMap.NEEDS_REVIEW).setValue(needsReview);
+/**
+ * Formats a USD amount, keeping fractions of a cent visible
+ * @param {number} amount - Amount in USD
+ * @returns {string} e.g. "$0.0132" or "$4.20"
+ */
+function formatUSD(amount) {
+  return `$${amount.toFixed(amount < 1 ? 4 : 2)}`;
 }
 
 /*******************************************************
- * CHATGPT API INTEGRATION
+ * AI RESPONSE CACHE
  *******************************************************/
 
+// Answers reused by this execution, and the AI Cache sheet's keys once loaded
+const AI_CACHE = { hits: 0, sheetRows: null };
+
 /**
- * Calls ChatGPT API for interpretation
+ * Builds the cache key of each entry's answer
+ * A key covers everything that shapes the answer: provider, endpoint, model,
+ * task, system prompt and the entry's own input, so changing any of them asks
+ * the AI again.
+ * @param {Object} settings - From getAIProviderSettings
+ * @param {string} task - CONFIG.JOBS.STEPS.INTERPRET or CONFIG.JOBS.STEPS.QUALITY
+ * @param {string} systemPrompt - Instructions for the model
+ * @param {Array<string>} inputs - Each entry's input (see requestStructuredItems)
+ * @returns {Array<string>} Cache keys aligned with inputs
  */
-function callChatGPTForInterpretation(systemPrompt, userMessage) {
-  // Get provider from sheet dynamically
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const provider = getAIProvider(ss);
-
-  if (provider === "OPENAI") {
-    return callOpenAIForInterpretation(systemPrompt, userMessage);
-  } else if (provider === "GEMINI") {
-    return callGeminiForInterpretation(systemPrompt, userMessage);
-  } else if (provider === "CHATGPT") {
-    return callPortkeyForInterpretation(systemPrompt, userMessage);
-  } else {
-    throw new Error(`Unsupported provider: ${provider}`);
-  }
+function getAICacheKeys(settings, task, systemPrompt, inputs) {
+  const promptHash = hashText(
+    JSON.stringify([
+      settings.provider,
+      settings.baseUrl,
+      settings.model,
+      task,
+      systemPrompt,
+    ]),
+  );
+  return inputs.map(
+    (input) => CONFIG.AI_CACHE.KEY_PREFIX + hashText(promptHash + input),
+  );
 }
 
 /**
- * Calls OpenAI API directly
+ * Looks up cached answers, first in CacheService, then in the AI Cache sheet
+ * Answers found only in the sheet are put back in CacheService.
+ * @param {Array<string>} keys - From getAICacheKeys
+ * @returns {Map<string, Object>} Cached answer by key
  */
-function callOpenAIForInterpretation(systemPrompt, userMessage) {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const apiKey = getAPIKeyFromSheet(ss);
-
-  const url = `${CONFIG.AI_MODEL.OPENAI_BASE_URL}/chat/completions`;
-
-  const payload = {
-    model: CONFIG.AI_MODEL.OPENAI_MODEL,
-    messages: [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: userMessage },
-    ],
-    max_tokens: 4096,
-  };
-
-  const options = {
-    method: "post",
-    contentType: "application/json",
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-    },
-    payload: JSON.stringify(payload),
-    muteHttpExceptions: true,
+function readAICache(keys) {
+  const found = new Map();
+  const cache = CacheService.getDocumentCache();
+  // Answers edited by hand into invalid JSON are treated as not cached
+  const addAnswer = (key, text) => {
+    try {
+      found.set(key, JSON.parse(text));
+    } catch (error) {
+      Logger.log(`Ignoring unreadable cached answer ${key}`);
+    }
   };
 
-  Logger.log(`Calling OpenAI API: ${url}`);
-  Logger.log(`Model: ${CONFIG.AI_MODEL.OPENAI_MODEL}`);
-
-  const response = UrlFetchApp.fetch(url, options);
-  const statusCode = response.getResponseCode();
-  const responseText = response.getContentText();
-
-  Logger.log(`Response Status: ${statusCode}`);
+  // Step 1: Short-term cache
+  const cached = cache.getAll(keys);
+  for (const key of Object.keys(cached)) {
+    addAnswer(key, cached[key]);
+  }
 
-  if (statusCode !== 200) {
-    let errorDetails = responseText;
-    try {
-      const errorData = JSON.parse(responseText);
-      errorDetails = JSON.stringify(errorData, null, 2);
-    } catch (e) {
-      // Response is not JSON
+  // Step 2: AI Cache sheet for the rest
+  const missing = keys.filter((key) => !found.has(key));
+  if (missing.length === 0) {
+    return found;
+  }
+  const sheetRows = loadAICacheSheet();
+  const restored = {};
+  for (const key of missing) {
+    const row = sheetRows.get(key);
+    if (row) {
+      addAnswer(key, row.answer);
+      restored[key] = row.answer;
     }
-    throw new Error(
-      `OpenAI API returned ${statusCode}. Details: ${errorDetails}`,
-    );
   }
-
-  const data = JSON.parse(responseText);
-
-  if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-    throw new Error(`Invalid response structure: ${responseText}`);
+  if (Object.keys(restored).length > 0) {
+    cache.putAll(restored, CONFIG.AI_CACHE.TTL_SECONDS);
   }
+  return found;
+}
 
-  const content = data.choices[0].message.content;
-  Logger.log(`AI Response: ${content}`);
-
-  // Strip markdown code fences if present
-  let cleanContent = content.trim();
-  if (cleanContent.startsWith("```")) {
-    cleanContent = cleanContent.replace(/^```(?:json)?\s*\n?/, "");
-    cleanContent = cleanContent.replace(/\n?```\s*$/, "");
+/**
+ * Saves new answers to CacheService and the AI Cache sheet
+ * Answers already in the sheet (re-requested with Bypass Cache) are replaced.
+ * @param {Object} settings - From getAIProviderSettings
+ * @param {string} task - CONFIG.JOBS.STEPS.INTERPRET or CONFIG.JOBS.STEPS.QUALITY
+ * @param {Array<Object>} answers - { key, item } for each new answer
+ */
+function writeAICache(settings, task, answers) {
+  if (answers.length === 0) {
+    return;
   }
-
-  // Parse JSON response (handle both single object and array)
-  try {
-    const parsed = JSON.parse(cleanContent);
-    return Array.isArray(parsed) ? parsed : [parsed];
-  } catch (e) {
-    // If not JSON, try to extract JSON from the response
-    const jsonMatch = cleanContent.match(/\[[\s\S]*\]|\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const parsed = JSON.parse(jsonMatch[0]);
-      return Array.isArray(parsed) ? parsed : [parsed];
+  const values = {};
+  answers.forEach(({ key, item }) => (values[key] = JSON.stringify(item)));
+  CacheService.getDocumentCache().putAll(values, CONFIG.AI_CACHE.TTL_SECONDS);
+
+  const sheetRows = loadAICacheSheet();
+  const sheet = getAICacheSheet();
+  const savedAt = new Date();
+  const newRows = [];
+  for (const key of Object.keys(values)) {
+    const row = [
+      key,
+      task,
+      AI_PROVIDERS[settings.provider].label,
+      settings.model,
+      values[key],
+      savedAt,
+    ];
+    const existing = sheetRows.get(key);
+    if (existing) {
+      sheet.getRange(existing.row, 1, 1, row.length).setValues([row]);
+      existing.answer = values[key];
+    } else {
+      newRows.push(row);
     }
-    throw new Error(`Failed to parse AI response as JSON: ${content}`);
+  }
+  if (newRows.length > 0) {
+    const firstRow = sheet.getLastRow() + 1;
+    sheet
+      .getRange(firstRow, 1, newRows.length, newRows[0].length)
+      .setValues(newRows);
+    newRows.forEach((row, index) =>
+      sheetRows.set(row[0], { row: firstRow + index, answer: row[4] }),
+    );
   }
 }
 
 /**
- * Calls Gemini API for interpretation
+ * Reads the AI Cache sheet once per execution, pruning it first
+ * @returns {Map<string, Object>} { row, answer } by cache key
  */
-function callGeminiForInterpretation(systemPrompt, userMessage) {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const apiKey = getAPIKeyFromSheet(ss);
+function loadAICacheSheet() {
+  if (AI_CACHE.sheetRows) {
+    return AI_CACHE.sheetRows;
+  }
+  const rows = new Map();
+  const sheet = getAICacheSheet();
+  const data = pruneAICacheSheet(sheet, sheet.getDataRange().getValues());
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][0]) {
+      rows.set(String(data[i][0]), { row: i + 1, answer: String(data[i][4]) });
+    }
+  }
+  AI_CACHE.sheetRows = rows;
+  return rows;
+}
 
-  const url = `${CONFIG.AI_MODEL.GEMINI_BASE_URL}/models/${CONFIG.AI_MODEL.GEMINI_MODEL}:generateContent?key=${apiKey}`;
+/**
+ * Drops answers older than CONFIG.AI_CACHE.MAX_AGE_DAYS, then the oldest ones
+ * beyond CONFIG.AI_CACHE.MAX_ROWS, and rewrites the sheet when any were dropped
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - AI Cache sheet
+ * @param {Array<Array>} data - Its values, header row first
+ * @returns {Array<Array>} The values left in the sheet
+ */
+function pruneAICacheSheet(sheet, data) {
+  const savedColumn = CONFIG.AI_CACHE.HEADERS.indexOf("Saved");
+  const oldest =
+    Date.now() - CONFIG.AI_CACHE.MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  // Unreadable dates count as oldest
+  const savedTime = (row) => new Date(row[savedColumn]).getTime() || 0;
+
+  const kept = data
+    .slice(1)
+    .filter((row) => row[0] && savedTime(row) >= oldest)
+    .sort((a, b) => savedTime(b) - savedTime(a))
+    .slice(0, CONFIG.AI_CACHE.MAX_ROWS)
+    .sort((a, b) => savedTime(a) - savedTime(b));
+  if (kept.length === data.length - 1) {
+    return data;
+  }
 
-  // Gemini uses a different format: contents array with parts
-  const payload = {
-    contents: [
-      {
-        parts: [
-          {
-            text: `${systemPrompt}\n\n${userMessage}`,
-          },
-        ],
-      },
-    ],
-    generationConfig: {
-      temperature: 0.2,
-      maxOutputTokens: 4096, // Sufficient for batches of 5-10 questions
-    },
-  };
+  const width = data[0].length;
+  sheet.getRange(2, 1, data.length - 1, width).clearContent();
+  if (kept.length > 0) {
+    sheet.getRange(2, 1, kept.length, width).setValues(kept);
+  }
+  Logger.log(
+    `Pruned AI Cache: removed ${data.length - 1 - kept.length} answers, kept ${kept.length}`,
+  );
+  return [data[0]].concat(kept);
+}
 
-  const options = {
-    method: "post",
-    contentType: "application/json",
-    payload: JSON.stringify(payload),
-    muteHttpExceptions: true,
-  };
+/**
+ * Gets the AI Cache sheet, adding it (hidden) if it doesn't exist
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} AI Cache sheet
+ */
+function getAICacheSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(CONFIG.AI_CACHE.SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(CONFIG.AI_CACHE.SHEET_NAME);
+    sheet.appendRow(CONFIG.AI_CACHE.HEADERS);
+    sheet.setFrozenRows(1);
+    sheet.hideSheet();
+  }
+  return sheet;
+}
 
-  Logger.log(`Calling Gemini API: ${CONFIG.AI_MODEL.GEMINI_MODEL}`);
-  Logger.log(`Payload size: ${JSON.stringify(payload).length} bytes`);
+/**
+ * Hashes text for cache keys
+ * @param {string} text - Text to hash
+ * @returns {string} Web-safe base64 SHA-256 digest
+ */
+function hashText(text) {
+  return Utilities.base64EncodeWebSafe(
+    Utilities.computeDigest(
+      Utilities.DigestAlgorithm.SHA_256,
+      text,
+      Utilities.Charset.UTF_8,
+    ),
+  );
+}
 
-  const response = UrlFetchApp.fetch(url, options);
-  const statusCode = response.getResponseCode();
-  const responseText = response.getContentText();
+/**
+ * Describes how many answers came from the cache, for run summaries
+ * @param {number} hits - Number of cached answers used
+ * @returns {string} e.g. " (12 from cache)", or "" when there were none
+ */
+function describeCacheHits(hits) {
+  return hits ? ` (${hits} from cache)` : "";
+}
 
-  Logger.log(`Response Status: ${statusCode}`);
+/*******************************************************
+ * STRUCTURED AI OUTPUT
+ *******************************************************/
 
-  if (statusCode !== 200) {
-    let errorDetails = responseText;
+/**
+ * Sends entries to AI and returns a validated answer for each one
+ * Entries whose input and prompt are unchanged reuse their cached answer unless
+ * the task's Bypass Cache setting is on. Answers that are missing or fail the
+ * task's schema are re-requested, sending only those entries again, up to
+ * MAX_REPAIR_REQUESTS times.
+ * @param {string} systemPrompt - Instructions for the model
+ * @param {Array<Object>} entries - Entries to answer (rows or requirements)
+ * @param {string} task - CONFIG.JOBS.STEPS.INTERPRET or CONFIG.JOBS.STEPS.QUALITY
+ * @param {function(Array<Object>): string} buildMessage - Builds the user message
+ *   for a list of entries
+ * @param {function(Object, number): *} getEntryKey - Value of the task's match
+ *   field for an entry at a position in the message
+ * @param {function(Object): string} getCacheInput - Everything in an entry (and
+ *   any content shared by all entries) that its answer depends on
+ * @param {Object} [settings] - Model to use instead of the task's own
+ * @param {number} [deadline] - Time (ms) after which no re-request is sent; the
+ *   entries still missing an answer are left as errors
+ * @returns {Object} { items, errors } aligned with entries: the valid answer (or
+ *   null) and the reason it is missing (or null)
+ */
+function requestStructuredItems(
+  systemPrompt,
+  entries,
+  task,
+  buildMessage,
+  getEntryKey,
+  getCacheInput,
+  settings,
+  deadline,
+) {
+  const matchField = CONFIG.STRUCTURED_OUTPUT.MATCH_FIELDS[task];
+  const itemSchema = getResponseItemSchema(task);
+  const items = entries.map(() => null);
+  const errors = entries.map(() => "No answer from AI");
+
+  // Cached answers are checked again, in case the schema changed since
+  settings =
+    settings ||
+    getAIProviderSettings(SpreadsheetApp.getActiveSpreadsheet(), task);
+  const cacheKeys = getAICacheKeys(
+    settings,
+    task,
+    systemPrompt,
+    entries.map(getCacheInput),
+  );
+  if (!settings.bypassCache) {
+    let cached = new Map();
     try {
-      const errorData = JSON.parse(responseText);
-      errorDetails = JSON.stringify(errorData, null, 2);
-    } catch (e) {
-      // Response is not JSON
+      cached = readAICache(cacheKeys);
+    } catch (error) {
+      Logger.log(`Could not read the cache: ${error.message}`);
     }
-    throw new Error(
-      `Gemini API returned ${statusCode}. Details: ${errorDetails}`,
-    );
+    cacheKeys.forEach((key, index) => {
+      const item = cached.get(key);
+      if (item && validateSchemaValue(item, itemSchema, "").length === 0) {
+        items[index] = item;
+        errors[index] = null;
+        AI_CACHE.hits++;
+      }
+    });
   }
 
-  const data = JSON.parse(responseText);
-
-  // Gemini response structure: { candidates: [{ content: { parts: [{ text: "..." }] } }] }
-  if (
-    !data.candidates ||
-    !data.candidates[0] ||
-    !data.candidates[0].content ||
-    !data.candidates[0].content.parts ||
-    !data.candidates[0].content.parts[0]
+  let pending = entries
+    .map((entry, index) => index)
+    .filter((index) => !items[index]);
+  const requested = pending.slice();
+  for (
+    let request = 0;
+    pending.length > 0 &&
+    request <= CONFIG.STRUCTURED_OUTPUT.MAX_REPAIR_REQUESTS;
+    request++
   ) {
-    throw new Error(`Invalid Gemini response structure: ${responseText}`);
-  }
+    const subset = pending.map((index) => entries[index]);
+    if (request > 0 && Date.now() > (deadline || Infinity)) {
+      Logger.log(
+        `Time limit reached; not re-requesting ${subset.length} entries`,
+      );
+      break;
+    }
+    if (request > 0) {
+      Logger.log(
+        `Re-requesting ${subset.length} of ${entries.length} entries that failed validation`,
+      );
+    }
 
-  const content = data.candidates[0].content.parts[0].text;
-  Logger.log(`Gemini Response length: ${content.length} characters`);
-  Logger.log(`Gemini Response (first 500 chars): ${content.substring(0, 500)}`);
-  Logger.log(
-    `Gemini Response (last 500 chars): ${content.substring(Math.max(0, content.length - 500))}`,
-  );
+    let responseItems;
+    try {
+      responseItems = callChatGPTForInterpretation(
+        systemPrompt,
+        buildMessage(subset),
+        task,
+        settings,
+      );
+    } catch (error) {
+      // Unreadable answers are re-requested; API errors fail the batch unless
+      // some entries already have an answer
+      if (!error.invalidResponse && (request === 0 || error.fatal)) {
+        throw error;
+      }
+      Logger.log(`Request ${request + 1} failed: ${error.message}`);
+      pending.forEach((index) => (errors[index] = error.message));
+      if (!error.invalidResponse) {
+        break;
+      }
+      continue;
+    }
 
-  // Strip markdown code fences if present
-  let cleanContent = content.trim();
-  if (cleanContent.startsWith("```")) {
-    cleanContent = cleanContent.replace(/^```(?:json)?\s*\n?/, "");
-    cleanContent = cleanContent.replace(/\n?```\s*$/, "");
+    // Answers are tied to entries by the match field, never by position
+    const answers = new Map();
+    for (const item of responseItems) {
+      if (item && typeof item === "object" && item[matchField] !== undefined) {
+        answers.set(String(item[matchField]).trim(), item);
+      }
+    }
+
+    const stillPending = [];
+    pending.forEach((entryIndex, position) => {
+      const key = String(getEntryKey(entries[entryIndex], position)).trim();
+      const item = answers.get(key);
+      if (!item) {
+        errors[entryIndex] = `No answer for ${matchField} "${key}"`;
+        stillPending.push(entryIndex);
+        return;
+      }
+
+      normalizeResponseItem(task, item);
+      const problems = validateSchemaValue(item, itemSchema, "");
+      if (problems.length > 0) {
+        Logger.log(`Invalid answer for ${key}: ${problems.join("; ")}`);
+        errors[entryIndex] = `Invalid answer: ${problems.join("; ")}`;
+        stillPending.push(entryIndex);
+        return;
+      }
+      items[entryIndex] = item;
+      errors[entryIndex] = null;
+    });
+    pending = stillPending;
   }
 
-  // Parse JSON response (handle both single object and array)
-  try {
-    const parsed = JSON.parse(cleanContent);
-    const resultArray = Array.isArray(parsed) ? parsed : [parsed];
+  if (pending.length > 0) {
     Logger.log(
-      `Successfully parsed ${resultArray.length} items from Gemini response`,
+      `${pending.length} of ${entries.length} entries have no valid answer`,
     );
-    return resultArray;
-  } catch (e) {
-    Logger.log(`JSON parse error: ${e.message}`);
-    Logger.log(`Attempting to extract valid JSON from response...`);
-
-    // If not valid JSON, try to extract JSON array from the response
-    const jsonMatch = cleanContent.match(/\[[\s\S]*\]/);
-    if (jsonMatch) {
-      try {
-        const parsed = JSON.parse(jsonMatch[0]);
-        const resultArray = Array.isArray(parsed) ? parsed : [parsed];
-        Logger.log(`Extracted ${resultArray.length} items from partial JSON`);
-        return resultArray;
-      } catch (e2) {
-        Logger.log(`Failed to parse extracted JSON: ${e2.message}`);
-
-        // Try to fix incomplete JSON array by closing it
-        let fixedJson = jsonMatch[0].trim();
-        if (!fixedJson.endsWith("]")) {
-          Logger.log(`JSON array not properly closed, attempting to fix...`);
-          // Remove trailing comma and incomplete object
-          fixedJson = fixedJson.replace(/,\s*\{[^}]*$/, "");
-          if (!fixedJson.endsWith("]")) {
-            fixedJson += "]";
-          }
-          try {
-            const parsed = JSON.parse(fixedJson);
-            const resultArray = Array.isArray(parsed) ? parsed : [parsed];
-            Logger.log(
-              `Fixed incomplete JSON, extracted ${resultArray.length} items`,
-            );
-            return resultArray;
-          } catch (e3) {
-            Logger.log(`Failed to fix incomplete JSON: ${e3.message}`);
-          }
-        }
-      }
-    }
+  }
 
-    Logger.log(`Full response for debugging: ${cleanContent}`);
-    throw new Error(
-      `Failed to parse Gemini response as JSON. Response length: ${content.length} chars. Parse error: ${e.message}`,
+  // A cache that can't be written only costs a new request next time
+  try {
+    writeAICache(
+      settings,
+      task,
+      requested
+        .filter((index) => items[index])
+        .map((index) => ({ key: cacheKeys[index], item: items[index] })),
     );
+  } catch (error) {
+    Logger.log(`Could not save answers to the cache: ${error.message}`);
   }
+  return { items, errors };
 }
 
 /**
- * Calls Portkey Gateway (NYU)
+ * Gets the response schema for a task: an object with an "items" array
+ * (OpenAI's schema mode needs an object at the top level)
+ * @param {string} task - CONFIG.JOBS.STEPS.INTERPRET or CONFIG.JOBS.STEPS.QUALITY
+ * @returns {Object} JSON schema
  */
-function callPortkeyForInterpretation(systemPrompt, userMessage) {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const apiKey = getAPIKeyFromSheet(ss);
-
-  const url = `${CONFIG.AI_MODEL.CHATGPT_BASE_URL}/chat/completions`;
-
-  const payload = {
-    model: CONFIG.AI_MODEL.CHATGPT_MODEL, // Use model string exactly as configured (with @ prefix)
-    messages: [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: userMessage },
-    ],
-    max_tokens: 4096,
+function getResponseSchema(task) {
+  const itemsField = CONFIG.STRUCTURED_OUTPUT.ITEMS_FIELD;
+  return {
+    type: "object",
+    properties: {
+      [itemsField]: { type: "array", items: getResponseItemSchema(task) },
+    },
+    required: [itemsField],
+    additionalProperties: false,
   };
+}
 
-  // Portkey only requires x-portkey-api-key header
-  // The provider info is embedded in the model string (e.g., @openai-nyu-it-d-5b382a/gpt-4o-mini)
-  const options = {
-    method: "post",
-    contentType: "application/json",
-    headers: {
-      "x-portkey-api-key": apiKey,
-      "User-Agent": "Google-Apps-Script",
-    },
-    payload: JSON.stringify(payload),
-    muteHttpExceptions: true,
-    validateHttpsCertificates: false, // Try disabling SSL validation
+/**
+ * Gets the schema of one answer for a task
+ * @param {string} task - CONFIG.JOBS.STEPS.INTERPRET or CONFIG.JOBS.STEPS.QUALITY
+ * @returns {Object} JSON schema (object with every property required)
+ */
+function getResponseItemSchema(task) {
+  const confidence = { type: "number", minimum: 0, maximum: 100 };
+  let properties;
+
+  if (task === CONFIG.JOBS.STEPS.INTERPRET) {
+    const conformance = {
+      type: "string",
+      enum: CONFIG.VALID_CONFORMANCE_VALUES,
+    };
+    properties = {
+      entry: { type: "integer", minimum: 0 },
+      conformanceLevel: conformance,
+      web: conformance,
+      electronicDocs: conformance,
+      software: conformance,
+      closed: conformance,
+      authoring: conformance,
+      comment: { type: "string" },
+      confidence,
+    };
+  } else if (task === CONFIG.JOBS.STEPS.QUALITY) {
+    properties = {
+      reqId: { type: "string" },
+      response: { type: "string" },
+      originalFromVpat: { type: "string" },
+      explanation: { type: "string" },
+      confidence,
+    };
+  } else {
+    throw new Error(`No response schema for task: ${task}`);
+  }
+
+  return {
+    type: "object",
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false,
   };
+}
 
-  Logger.log(`Calling API: ${url}`);
-  Logger.log(`Model: ${CONFIG.AI_MODEL.CHATGPT_MODEL}`);
-  Logger.log(`Payload size: ${JSON.stringify(payload).length} bytes`);
+/**
+ * Adapts a JSON schema to what a provider's structured output accepts
+ * OpenAI strict mode and Gemini don't take minimum/maximum, and Gemini's
+ * OpenAPI-style schema has upper-case types and no additionalProperties.
+ * Ranges are still checked by validateSchemaValue.
+ * @param {Object} schema - JSON schema
+ * @param {string} style - "openai", "gemini" or "anthropic"
+ * @returns {Object} Converted copy of the schema
+ */
+function convertSchemaForProvider(schema, style) {
+  if (Array.isArray(schema)) {
+    return schema.map((value) => convertSchemaForProvider(value, style));
+  }
+  if (!schema || typeof schema !== "object") {
+    return schema;
+  }
 
-  let response;
-  try {
-    response = UrlFetchApp.fetch(url, options);
-  } catch (fetchError) {
-    Logger.log(`Fetch error: ${fetchError.toString()}`);
-    Logger.log(`Fetch error message: ${fetchError.message}`);
-    Logger.log(`Fetch error name: ${fetchError.name}`);
-
-    // Try to get more details
-    if (fetchError.message.includes("Bad request")) {
-      throw new Error(
-        `Gateway rejected request. Check: 1) API key is valid, 2) Model name is correct, 3) Gateway URL is accessible from Apps Script`,
-      );
+  const converted = {};
+  for (const key of Object.keys(schema)) {
+    if (style !== "anthropic" && (key === "minimum" || key === "maximum")) {
+      continue;
+    }
+    if (style === "gemini" && key === "additionalProperties") {
+      continue;
+    }
+    if (key === "type" && style === "gemini") {
+      converted.type = schema.type.toUpperCase();
+    } else if (key === "enum" || key === "required") {
+      converted[key] = schema[key].slice();
+    } else {
+      converted[key] = convertSchemaForProvider(schema[key], style);
     }
-    throw new Error(`Failed to connect to API: ${fetchError.message}`);
   }
+  return converted;
+}
 
-  const statusCode = response.getResponseCode();
-  const responseText = response.getContentText();
+/**
+ * Checks a value against the JSON schema subset used for AI answers
+ * (type, enum, properties, required, additionalProperties, items, minimum, maximum)
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON schema
+ * @param {string} path - Location of the value, for messages ("" at the top)
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateSchemaValue(value, schema, path) {
+  const name = path || "answer";
+  const problems = [];
+
+  const typeChecks = {
+    object: (v) => v !== null && typeof v === "object" && !Array.isArray(v),
+    array: (v) => Array.isArray(v),
+    string: (v) => typeof v === "string",
+    number: (v) => typeof v === "number" && isFinite(v),
+    integer: (v) => Number.isInteger(v),
+    boolean: (v) => typeof v === "boolean",
+  };
+  if (schema.type && !typeChecks[schema.type](value)) {
+    return [
+      `${name} should be ${schema.type === "array" || schema.type === "object" ? "an" : "a"} ${schema.type}`,
+    ];
+  }
 
-  Logger.log(`Response Status: ${statusCode}`);
-  Logger.log(`Response Body: ${responseText}`);
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(
+      `${name} "${value}" is not one of: ${schema.enum.join(", ")}`,
+    );
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    problems.push(`${name} ${value} is below ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    problems.push(`${name} ${value} is above ${schema.maximum}`);
+  }
 
-  if (statusCode !== 200) {
-    let errorDetails = responseText;
-    try {
-      const errorData = JSON.parse(responseText);
-      errorDetails = JSON.stringify(errorData, null, 2);
-    } catch (e) {
-      // Response is not JSON
+  if (schema.type === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        problems.push(`${path ? `${path}.` : ""}${key} is missing`);
+      }
+    }
+    for (const key of Object.keys(value)) {
+      const propertySchema = (schema.properties || {})[key];
+      const propertyPath = path ? `${path}.${key}` : key;
+      if (propertySchema) {
+        problems.push(
+          ...validateSchemaValue(value[key], propertySchema, propertyPath),
+        );
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${propertyPath} is not expected`);
+      }
     }
-    throw new Error(`API returned ${statusCode}. Details: ${errorDetails}`);
   }
 
-  const data = JSON.parse(responseText);
-
-  if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-    throw new Error(`Invalid response structure: ${responseText}`);
+  if (schema.type === "array" && schema.items) {
+    value.forEach((item, index) => {
+      problems.push(
+        ...validateSchemaValue(item, schema.items, `${name}[${index}]`),
+      );
+    });
   }
+  return problems;
+}
 
-  const content = data.choices[0].message.content;
-  Logger.log(`AI Response: ${content}`);
-
-  // Strip markdown code fences if present
-  let cleanContent = content.trim();
-  if (cleanContent.startsWith("```")) {
-    cleanContent = cleanContent.replace(/^```(?:json)?\s*\n?/, "");
-    cleanContent = cleanContent.replace(/\n?```\s*$/, "");
+/**
+ * Fixes harmless variations in an answer before it is validated
+ * (conformance synonyms such as "Yes" or "N/A", numbers sent as text). An empty
+ * or missing conformance value becomes "Not Evaluated", as it always has.
+ * @param {string} task - CONFIG.JOBS.STEPS.INTERPRET or CONFIG.JOBS.STEPS.QUALITY
+ * @param {Object} item - Answer, changed in place
+ */
+function normalizeResponseItem(task, item) {
+  if (typeof item.confidence === "string" && item.confidence.trim() !== "") {
+    const confidence = Number(item.confidence.replace(/%$/, ""));
+    if (!isNaN(confidence)) {
+      item.confidence = confidence;
+    }
   }
 
-  // Parse JSON response (handle both single object and array)
-  try {
-    const parsed = JSON.parse(cleanContent);
-    return Array.isArray(parsed) ? parsed : [parsed];
-  } catch (e) {
-    // If not JSON, try to extract JSON from the response
-    const jsonMatch = cleanContent.match(/\[[\s\S]*\]|\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const parsed = JSON.parse(jsonMatch[0]);
-      return Array.isArray(parsed) ? parsed : [parsed];
+  if (task === CONFIG.JOBS.STEPS.INTERPRET) {
+    if (typeof item.entry === "string" && /^\d+$/.test(item.entry.trim())) {
+      item.entry = parseInt(item.entry, 10);
+    }
+    for (const field of getInterpretedFields({})) {
+      const value = item[field.key];
+      if (
+        value === undefined ||
+        value === null ||
+        String(value).trim() === ""
+      ) {
+        item[field.key] = "Not Evaluated";
+      } else if (typeof value === "string") {
+        item[field.key] = normalizeConformanceValue(value);
+      }
     }
-    throw new Error(`Failed to parse AI response as JSON: ${content}`);
   }
 }
 
@@ -1652,9 +7678,8 @@ function callPortkeyForInterpretation(systemPrompt, userMessage) {
 
 /**
  * Main function to analyze VPAT quality checklist
- * Reads questions from "Quality Requirements" sheet
- * Groups by criteria number and processes in batches
- * Writes AI responses back to the AI Response column
+ * Asks for the VPAT document, then runs the analysis as a resumable job
+ * (see runQualityStep)
  */
 function analyzeQualityChecklist() {
   const ui = SpreadsheetApp.getUi();
@@ -1665,58 +7690,98 @@ function analyzeQualityChecklist() {
     const fileId = getVPATFileIdForAnalysis(ui);
     if (!fileId) return;
 
-    // Step 2: Load questions from Quality Requirements sheet
-    showProgress("Loading quality requirements...");
-    const requirements = loadQualityRequirements(ss);
-
-    if (requirements.length === 0) {
-      throw new Error(
-        `No requirements found in "${CONFIG.QUALITY_CHECKLIST.SHEET_NAME}" sheet`,
-      );
-    }
+    startJob({
+      steps: [CONFIG.JOBS.STEPS.QUALITY],
+      sheetName: ss.getActiveSheet().getName(),
+      fileId,
+    });
+  } catch (error) {
+    Logger.log(`Error in analyzeQualityChecklist: ${error.message}`);
+    Logger.log(error.stack);
+    ss.toast(`Error: ${error.message}`, "Quality Analysis Failed", 10);
+  }
+}
 
-    // Step 3: Group requirements by criteria number
-    const criteriaGroups = groupRequirementsByCriteria(requirements);
-    Logger.log(
-      `Grouped ${requirements.length} requirements into ${criteriaGroups.length} criteria groups`,
-    );
+/**
+ * Quality checklist step: answers the requirements in batches until done or out
+ * of time. Responses are written after every batch and the next requirement
+ * position is checkpointed in job.state.
+ * @param {Object} job - Job with fileId and step state
+ * @param {number} deadline - Time (ms) after which no new batch is started
+ * @returns {Object} { done, message }
+ */
+function runQualityStep(job, deadline) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const state = job.state;
 
-    // Step 4: Load VPAT document text
-    showProgress("Loading VPAT document...");
-    const documentText = extractFullDocumentText(fileId);
-    Logger.log(`Extracted ${documentText.length} characters from document`);
+  // Step 1: Check the AI settings before loading anything
+  ensureAITaskSettingsTable(ss);
+  const settings = getAIProviderSettings(ss, CONFIG.JOBS.STEPS.QUALITY);
+  beginAIUsage(job, CONFIG.JOBS.STEPS.QUALITY);
 
-    // Step 5: Get system prompt
-    const systemPrompt = getQualityChecklistPrompt(ss);
+  // Step 2: Load questions from Quality Requirements sheet
+  showProgress("Loading quality requirements...");
+  const requirements = loadQualityRequirements(ss);
 
-    // Step 6: Process criteria groups in batches
-    showProgress(`Analyzing ${criteriaGroups.length} criteria groups...`);
-    const allResponses = processCriteriaGroups(
-      criteriaGroups,
-      documentText,
-      systemPrompt,
+  if (requirements.length === 0) {
+    throw new Error(
+      `No requirements found in "${CONFIG.QUALITY_CHECKLIST.SHEET_NAME}" sheet`,
     );
+  }
 
-    // Step 7: Write responses back to the AI Response column
-    showProgress("Writing AI responses to sheet...");
-    writeQualityResponses(ss, allResponses);
+  // Step 3: Group requirements by criteria number
+  const criteriaGroups = groupRequirementsByCriteria(requirements);
+  Logger.log(
+    `Grouped ${requirements.length} requirements into ${criteriaGroups.length} criteria groups`,
+  );
 
-    SpreadsheetApp.getActiveSpreadsheet().toast(
-      `✓ Quality analysis complete! ${allResponses.length} requirements evaluated`,
-      "Success",
-      10,
-    );
-  } catch (error) {
-    Logger.log(`Error in analyzeQualityChecklist: ${error.message}`);
-    Logger.log(error.stack);
-    SpreadsheetApp.getActiveSpreadsheet().toast(
-      `Error: ${error.message}`,
-      "Quality Analysis Failed",
-      10,
-    );
-  } finally {
-    hideProgress();
+  // Step 4: Load VPAT document text (again on every run of a resumed job)
+  showProgress("Loading VPAT document...");
+  const documentText = extractFullDocumentText(job.fileId);
+  Logger.log(`Extracted ${documentText.length} characters from document`);
+
+  // Step 5: Get system prompt
+  const systemPrompt = getQualityChecklistPrompt(ss);
+
+  // Step 6: Process criteria groups in batches, writing responses back to the
+  // AI Response column after each batch
+  if (state.nextIndex === undefined) {
+    state.nextIndex = 0;
+    state.evaluated = 0;
+    state.retries = 0;
+    state.cached = 0;
+  }
+  showProgress(`Analyzing ${criteriaGroups.length} criteria groups...`);
+  const result = processCriteriaGroups(
+    criteriaGroups,
+    documentText,
+    systemPrompt,
+    {
+      startIndex: state.nextIndex,
+      deadline,
+      settings,
+      onBatch: (batch) => {
+        writeQualityResponses(ss, batch.responses);
+        state.nextIndex = batch.nextIndex;
+        state.evaluated += batch.responses.length;
+        state.retries = (state.retries || 0) + batch.retries;
+        state.cached = (state.cached || 0) + batch.cached;
+        saveJob(job);
+      },
+    },
+  );
+
+  if (result.nextIndex < result.total) {
+    return {
+      done: false,
+      message: `Evaluated ${state.evaluated} of ${result.total} requirements${describeRetries(state.retries)}${describeCacheHits(state.cached)}`,
+    };
   }
+
+  return {
+    done: true,
+    message: `✓ Quality analysis complete! ${state.evaluated} requirements evaluated${describeRetries(state.retries)}${describeCacheHits(state.cached)}`,
+  };
 }
 
 /**
@@ -1725,7 +7790,8 @@ function analyzeQualityChecklist() {
 function getVPATFileIdForAnalysis(ui) {
   const response = ui.prompt(
     "VPAT Quality Analysis",
-    "Enter the Google Drive File ID of the VPAT document to analyze:\n\n" +
+    "Enter the Google Drive File ID of the VPAT document to analyze\n" +
+      "(or the URL of a VPAT web page):\n\n" +
       "(This should be the same VPAT document you want to evaluate)",
     ui.ButtonSet.OK_CANCEL,
   );
@@ -1838,36 +7904,20 @@ function groupRequirementsByCriteria(requirements) {
  * Extracts full text from VPAT document for analysis
  */
 function extractFullDocumentText(fileId) {
-  const documentData = loadDocument(fileId);
-
-  try {
-    const doc = DocumentApp.openById(documentData.tempDocId || fileId);
-    const body = doc.getBody();
-    let fullText = body.getText();
-
-    // Truncate if too long
-    const maxLength = CONFIG.QUALITY_CHECKLIST.MAX_DOC_LENGTH;
-    if (fullText.length > maxLength) {
-      Logger.log(
-        `Document truncated from ${fullText.length} to ${maxLength} characters`,
-      );
-      fullText =
-        fullText.substring(0, maxLength) +
-        "\n\n[Document truncated for analysis...]";
-    }
-
-    // Cleanup temp doc if created
-    if (documentData.tempDocId) {
-      cleanup(documentData.tempDocId);
-    }
+  let fullText = loadDocument(fileId).text;
 
-    return fullText;
-  } catch (error) {
-    if (documentData.tempDocId) {
-      cleanup(documentData.tempDocId);
-    }
-    throw error;
+  // Truncate if too long
+  const maxLength = CONFIG.QUALITY_CHECKLIST.MAX_DOC_LENGTH;
+  if (fullText.length > maxLength) {
+    Logger.log(
+      `Document truncated from ${fullText.length} to ${maxLength} characters`,
+    );
+    fullText =
+      fullText.substring(0, maxLength) +
+      "\n\n[Document truncated for analysis...]";
   }
+
+  return fullText;
 }
 
 /**
@@ -1939,10 +7989,28 @@ Return your responses in a structured JSON format with these three separate fiel
 /**
  * Processes criteria groups in batches using AI
  * Batches by number of requirements (not criteria groups) for better reliability
+ * @param {Object} [options] - { startIndex: first requirement to process,
+ *   deadline: time (ms) after which no new batch starts, settings: the task's
+ *   model (from getAIProviderSettings), onBatch: called after each batch with
+ *   { nextIndex, responses, retries, cached } }
+ * @returns {Object} { responses, nextIndex, total } (nextIndex < total when stopped early)
  */
-function processCriteriaGroups(criteriaGroups, documentText, systemPrompt) {
+function processCriteriaGroups(
+  criteriaGroups,
+  documentText,
+  systemPrompt,
+  options,
+) {
   const allResponses = [];
   const batchSize = CONFIG.QUALITY_CHECKLIST.REQUIREMENTS_BATCH_SIZE;
+  const startIndex = (options && options.startIndex) || 0;
+  const deadline = (options && options.deadline) || Infinity;
+  const settings =
+    (options && options.settings) ||
+    getAIProviderSettings(
+      SpreadsheetApp.getActiveSpreadsheet(),
+      CONFIG.JOBS.STEPS.QUALITY,
+    );
 
   // Flatten all requirements from all criteria groups
   const allRequirements = [];
@@ -1956,63 +8024,89 @@ function processCriteriaGroups(criteriaGroups, documentText, systemPrompt) {
     `Total requirements to process: ${allRequirements.length}, batch size: ${batchSize}`,
   );
 
+  // Cached answers are only reused for the same document text
+  const documentHash = hashText(documentText);
+
   // Process requirements in batches
-  for (let i = 0; i < allRequirements.length; i += batchSize) {
+  let nextIndex = startIndex;
+  for (let i = startIndex; i < allRequirements.length; i += batchSize) {
+    // Leave the rest for the next run rather than hit the execution time limit
+    if (Date.now() > deadline) {
+      Logger.log(`Time limit reached; stopping before requirement ${i + 1}`);
+      break;
+    }
     const batchRequirements = allRequirements.slice(i, i + batchSize);
+    const batchNum = Math.floor(i / batchSize) + 1;
+    const totalBatches = Math.ceil(allRequirements.length / batchSize);
+    const responsesBefore = allResponses.length;
+    const retriesBefore = AI_REQUEST_STATS.retries;
+    const cachedBefore = AI_CACHE.hits;
 
     try {
-      const batchNum = Math.floor(i / batchSize) + 1;
-      const totalBatches = Math.ceil(allRequirements.length / batchSize);
       showProgress(
         `Processing batch ${batchNum} of ${totalBatches} (${batchRequirements.length} questions)...`,
       );
 
-      // Build message for this batch of requirements
-      const userMessage = buildQualityChecklistMessageFromRequirements(
-        batchRequirements,
-        documentText,
-      );
-
-      // Call AI
+      // Call AI (requirements whose answers fail validation are sent again)
       Logger.log(
         `Sending batch ${batchNum}/${totalBatches} to AI: ${batchRequirements.length} requirements`,
       );
-      const batchResponses = callChatGPTForInterpretation(
+      const batchResult = requestStructuredItems(
         systemPrompt,
-        userMessage,
-      );
-
-      const expectedCount = batchRequirements.length;
-      Logger.log(
-        `AI returned ${batchResponses.length} responses (expected ${expectedCount})`,
-      );
-
-      if (batchResponses.length < expectedCount) {
-        Logger.log(
-          `⚠️ WARNING: AI returned incomplete response! Got ${batchResponses.length} out of ${expectedCount} expected responses.`,
-        );
-        Logger.log(
-          `This may be due to token limits. Consider reducing batch size or document length.`,
-        );
-      }
-
-      Logger.log(
-        `AI response structure: ${JSON.stringify(batchResponses).substring(0, 500)}...`,
+        batchRequirements,
+        CONFIG.JOBS.STEPS.QUALITY,
+        (requirements) =>
+          buildQualityChecklistMessageFromRequirements(
+            requirements,
+            documentText,
+          ),
+        (req) => req.reqId,
+        (req) =>
+          JSON.stringify([
+            documentHash,
+            req.reqId,
+            req.question,
+            req.responseType,
+            req.criteriaName,
+            req.aiGuidelines,
+          ]),
+        settings,
+        deadline,
       );
 
       // Parse and match responses to requirements
+      const answered = batchRequirements.filter(
+        (req, index) => batchResult.items[index],
+      );
       const parsedResponses = parseQualityChecklistResponsesFromRequirements(
-        batchRequirements,
-        batchResponses,
+        answered,
+        batchResult.items.filter(Boolean),
       );
       Logger.log(`Parsed ${parsedResponses.length} responses after matching`);
       allResponses.push(...parsedResponses);
 
+      // Requirements still without a valid answer get an error response
+      batchRequirements.forEach((req, index) => {
+        if (!batchResult.items[index]) {
+          allResponses.push({
+            rowIndex: req.rowIndex,
+            reqId: req.reqId,
+            response: `Error: ${batchResult.errors[index]}`,
+            originalFromVpat: "",
+            explanation: `No valid AI answer: ${batchResult.errors[index]}`,
+          });
+        }
+      });
+
       // Rate limiting between batches
       if (i + batchSize < allRequirements.length) {
         Utilities.sleep(CONFIG.API_DELAY_MS);
       }
     } catch (error) {
+      // Bad key or model: stop here so the job can be resumed once it's fixed
+      if (error.fatal) {
+        throw error;
+      }
       Logger.log(`Error processing batch ${batchNum}: ${error.message}`);
 
       // Add error responses for failed batch
@@ -2026,9 +8120,23 @@ function processCriteriaGroups(criteriaGroups, documentText, systemPrompt) {
         });
       }
     }
+
+    nextIndex = i + batchRequirements.length;
+    if (options && options.onBatch) {
+      options.onBatch({
+        nextIndex,
+        responses: allResponses.slice(responsesBefore),
+        retries: AI_REQUEST_STATS.retries - retriesBefore,
+        cached: AI_CACHE.hits - cachedBefore,
+      });
+    }
   }
 
-  return allResponses;
+  return {
+    responses: allResponses,
+    nextIndex,
+    total: allRequirements.length,
+  };
 }
 
 /**
@@ -2064,8 +8172,8 @@ function buildQualityChecklistMessageFromRequirements(
     message += `\n`;
   }
 
-  message += `Return a JSON array with ${requirements.length} objects (one per question, in the same order):\n`;
-  message += `[\n`;
+  message += `Return a JSON object with an "items" array of ${requirements.length} objects (one per question, in the same order, with the question's Req ID):\n`;
+  message += `{"items": [\n`;
   message += `  {\n`;
   message += `    "reqId": "E-07",\n`;
   message += `    "response": "Your direct answer ONLY based on Response Type (e.g., just 'Yes', 'March 2024', or brief text)",\n`;
@@ -2074,7 +8182,7 @@ function buildQualityChecklistMessageFromRequirements(
   message += `    "confidence": 85\n`;
   message += `  },\n`;
   message += `  ...\n`;
-  message += `]\n`;
+  message += `]}\n`;
 
   return message;
 }
@@ -2373,9 +8481,9 @@ function callAIModel(text) {
  */
 function callGeminiAPI(text) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const apiKey = getAPIKeyFromSheet(ss);
+  const apiKey = getAPIKey(ss, "GEMINI");
 
-  const url = `${CONFIG.AI_MODEL.GEMINI_BASE_URL}/models/${CONFIG.AI_MODEL.GEMINI_MODEL}:generateContent?key=${apiKey}`;
+  const url = `${CONFIG.AI_MODEL.GEMINI_BASE_URL}/models/${CONFIG.AI_MODEL.GEMINI_MODEL}:generateContent`;
 
   const payload = {
     contents: [
@@ -2396,26 +8504,12 @@ function callGeminiAPI(text) {
   const options = {
     method: "post",
     contentType: "application/json",
+    headers: { "x-goog-api-key": apiKey },
     payload: JSON.stringify(payload),
     muteHttpExceptions: true,
   };
 
-  const response = UrlFetchApp.fetch(url, options);
-  const statusCode = response.getResponseCode();
-  const responseText = response.getContentText();
-
-  if (statusCode !== 200) {
-    let errorDetails = responseText;
-    try {
-      const errorData = JSON.parse(responseText);
-      errorDetails = JSON.stringify(errorData, null, 2);
-    } catch (e) {
-      // Response is not JSON
-    }
-    throw new Error(
-      `Gemini API returned ${statusCode}. Details: ${errorDetails}`,
-    );
-  }
+  const responseText = fetchAIResponse("Gemini API", url, options);
 
   const data = JSON.parse(responseText);
 
@@ -2426,7 +8520,9 @@ function callGeminiAPI(text) {
     !data.candidates[0].content.parts ||
     !data.candidates[0].content.parts[0]
   ) {
-    throw new Error(`Invalid Gemini response structure: ${responseText}`);
+    throw new Error(
+      `Invalid Gemini response structure: ${redactAPIKeys(responseText)}`,
+    );
   }
 
   const content = data.candidates[0].content.parts[0].text;